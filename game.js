@@ -2,35 +2,105 @@
  * Sound Pollution Challenge Game
  * A browser-based game that tests players' ability to identify different types of sound pollution.
  * The game randomly plays sound samples and players must identify them within a time limit.
- * Scoring is based on sound amplitude - quieter sounds are worth more points.
+ * Scoring is based on sound amplitude - quieter sounds are worth more points (see scoring.js).
  *
  * IMPORTANT: Never hardcode dynamic values like recipient labels or sound names in the HTML.
  * These should always be set dynamically through JavaScript to maintain flexibility and proper localization.
  */
 
+// Campaign: every round plays more sounds at once with less time to listen
+const CAMPAIGN_DEFAULTS = {
+  rounds: 3,
+  firstRoundSounds: 1, // Simultaneous sounds in the first round
+  soundsPerRound: 1, // Extra sounds in every following round
+  maxSounds: 5,
+  firstRoundTime: 30, // Listening time of the first round in seconds
+  timeStepPerRound: 5, // Listening time lost in every following round
+  minTime: 10,
+  guessingTime: 10 // Guessing time of every round in seconds
+}
+
+// Classroom links preset the game, e.g. game.html?recipients=seniorzy,niewidomi&listen=40&pool=kolej,samolot&lock=1
+// Numeric parameters are clamped to their range, see parseUrlConfig
+const URL_CONFIG_PARAMS = {
+  listen: { key: 'listeningTime', min: 10, max: 60 }, // Listening time of the first round in seconds
+  guess: { key: 'guessingTime', min: 3, max: 10 }, // Guessing time in seconds
+  rounds: { key: 'rounds', min: 1, max: 10 } // Rounds in the campaign
+}
+
+// Challenge codes: the seed of the game's random generator plus the selected recipients, shared in the URL hash.
+// Games with classroom settings add listening time, guessing time, rounds and a sound pool mask.
+const CHALLENGE_DEFAULTS = {
+  hashKey: 'challenge', // URL hash is #challenge=<code>
+  separator: '-' // Between the parts of the code, all in base 36
+}
+
+// Hearing safety: a volume calibration before the first game, a hard output ceiling and a loudness warning
+const SAFETY_DEFAULTS = {
+  // The test suite runs on the same origin as the game and must not touch the player's calibration
+  storageKey: window.location.pathname.includes('test.html') ? 'soundPollutionSafety:test' : 'soundPollutionSafety',
+  version: 1,
+  initialVolume: 0.3, // Master volume the first calibration starts from, low on purpose
+  toneFrequency: 1000, // Hz, reference tone of the calibration
+  toneDb: -24, // dBFS, the level a typical 70 dB sound plays at (CALIBRATION_DEFAULTS.referenceLoudnessDb)
+  ceilingDb: -3, // dBFS, nothing leaves the output louder than this, whatever the risk functions do
+  warningDb: -12, // dBFS, RMS of the output that shows the loudness warning
+  meterInterval: 250, // ms between output measurements
+  warningHold: 2000 // ms the warning stays after the output gets quieter
+}
+
 // Game state management
 let gameState = {
-  pollutions: [], // Array of pollution sound data from JSON
+  pollutions: [], // Array of pollution sound data from JSON, only the pool of a classroom link
+  catalogue: [], // Every sound of pollutions.json, whatever the pool
   score: 0, // Start with base score of 0
   timeRemaining: 30, // Game time in seconds
+  listeningTime: 30, // Listening time of the round including the player's time adjustments
   activeSounds: [], // Array of currently playing sounds
-  soundElements: [], // Array of audio elements for current sounds
+  activeVoices: [], // Buffer sources currently playing, with their effect chains
   gameInterval: null, // Timer interval
   guessedSounds: new Set(), // Track correctly guessed sounds
-  preloadedSounds: new Map(), // Store preloaded audio elements
+  preloadedSounds: new Map(), // Decoded AudioBuffers keyed by pollution name
+  soundFiles: new Map(), // File variant each preloaded sound was decoded from, keyed by pollution name
   isLoading: false, // Track loading state
   selectedSounds: [], // Store the randomly selected sounds for the game
   pointsMultiplier: 1.0, // Points multiplier based on time adjustment
   isGuessingPhase: false, // Whether we're in the guessing phase
-  guessingTimeRemaining: 10, // Time for guessing phase
+  guessingTimeRemaining: CAMPAIGN_DEFAULTS.guessingTime, // Time for guessing phase
+  guessingTime: CAMPAIGN_DEFAULTS.guessingTime, // Guessing time of the round including risk function reductions
   guessingInterval: null, // Interval for guessing phase timer
   selectedRecipients: [], // Array of selected recipient groups
-  recipients: [] // Array of available recipient groups
+  recipients: [], // Array of available recipient groups
+  affected: [], // Health-impact records from data/affected.json (see getHealthRisks)
+  masterVolume: 1.0, // Volume of the whole mix (0-1), set by the hearing-safety calibration
+  referenceTone: null, // Oscillator of the calibration's reference tone while it plays
+  startAfterCalibration: false, // The calibration was opened by the start button and starts the game when saved
+  backgroundLayers: [], // Synthesized layers requested by risk functions (e.g. tinnitus)
+  activeLayers: [], // Handles of currently running background layers
+  loudnessAdjustments: new Map(), // Per-game loudness boosts keyed by pollution name (loud_sounds_louder)
+  round: 1, // Current campaign round (1-based)
+  totalRounds: CAMPAIGN_DEFAULTS.rounds, // Number of rounds in the campaign
+  roundStartScore: 0, // Score when the current round started
+  roundResults: [], // Summary of every finished round
+  scoreBreakdown: [], // Every point change of the campaign, see scoreGuess
+  guessLog: [], // Every guess of the campaign with the sounds playing at the time (confusion matrix)
+  preview: null, // Sound replayed from the results screen, only one at a time
+  comparison: null, // Running A/B comparison on the setup screen (see startComparison)
+  comparisonPending: null, // Token of the comparison still loading its sounds, cleared by stopComparison
+  comparisonMix: 0, // Crossfader position: 0 = typical listener, 1 = selected recipients
+  adaptiveSelection: false, // Favor sounds the player struggles with (see selectRandomSounds)
+  seed: null, // Seed of the current game's random generator (see setGameSeed)
+  random: Math.random, // Source of every random decision of a game, seeded in startGame
+  challengeSeed: null, // Seed entered with a challenge code, used by the next game
+  config: createDefaultConfig() // Settings a classroom link can change (see applyUrlConfig)
 }
 
-// Cache for sound files
+// Decoded sound files keyed by path, each a promise of an AudioBuffer shared between loads
 const soundCache = new Map()
 
+// Shared audio engine, created lazily on first playback (see getAudioEngine)
+let audioEngine = null
+
 /**
  * Toggles visibility of UI elements
  * @param {Object} elements - Object containing element IDs/classes and their desired display states
@@ -113,190 +183,1195 @@ function createSoundButton(sound) {
 }
 
 /**
- * Manages sound element playback
+ * Builds a WaveShaper curve passing samples unchanged up to a ceiling and cutting everything above it
+ * @param {number} ceilingDb - Ceiling in dBFS
+ * @param {number} [points=1025] - Curve resolution, odd so 0 maps to 0
+ * @returns {Float32Array} Curve over the input range -1..1 (louder input sticks to the ends)
+ */
+function createCeilingCurve(ceilingDb, points = 1025) {
+  const ceiling = dbToGain(ceilingDb)
+  const curve = new Float32Array(points)
+  for (let i = 0; i < points; i++) {
+    const x = (i * 2) / (points - 1) - 1
+    curve[i] = Math.max(-ceiling, Math.min(ceiling, x))
+  }
+  return curve
+}
+
+/**
+ * Creates the game-wide audio engine: one AudioContext with a master bus.
+ * Graph: category submix -> master gain -> limiter -> ceiling -> meter -> speakers
+ * @returns {Object} Engine with context, masterGain, limiter, ceiling, meter analyser and submixes
+ */
+function createAudioEngine() {
+  const context = new AudioContext()
+
+  const masterGain = context.createGain()
+  masterGain.gain.value = gameState.masterVolume
+
+  // Brickwall-style limiter keeping the summed mix below the ceiling...
+  const limiter = context.createDynamicsCompressor()
+  limiter.threshold.value = SAFETY_DEFAULTS.ceilingDb - 3
+  limiter.knee.value = 0
+  limiter.ratio.value = 20
+  limiter.attack.value = 0.001
+  limiter.release.value = 0.25
+
+  // ...and a hard clip for the peaks faster than its attack, the output never goes above ceilingDb
+  const ceiling = context.createWaveShaper()
+  ceiling.curve = createCeilingCurve(SAFETY_DEFAULTS.ceilingDb)
+
+  const analyser = context.createAnalyser()
+  analyser.fftSize = 2048
+
+  masterGain.connect(limiter)
+  limiter.connect(ceiling)
+  ceiling.connect(analyser)
+  analyser.connect(context.destination)
+
+  // Per-category submixes: anthropogenic vs. natural sounds, plus risk function overlays
+  const submixes = {}
+  ;['anthropogenic', 'natural', 'overlay'].forEach((category) => {
+    submixes[category] = context.createGain()
+    submixes[category].connect(masterGain)
+  })
+
+  // The meter only polls while something plays, see startOutputMeter
+  return { context, masterGain, limiter, ceiling, analyser, submixes, meter: null, warningUntil: 0 }
+}
+
+/**
+ * Returns the shared audio engine, creating it on first use
+ * @returns {Object} Audio engine (see createAudioEngine)
+ */
+function getAudioEngine() {
+  if (!audioEngine) {
+    audioEngine = createAudioEngine()
+  }
+
+  // Resume audio context if it's suspended (autoplay policy)
+  if (audioEngine.context.state === 'suspended') {
+    audioEngine.context.resume()
+  }
+
+  return audioEngine
+}
+
+/**
+ * Picks the submix a sound is routed to
  * @param {Object} sound - Sound data object
- * @param {boolean} shouldPlay - Whether to play or pause the sound
+ * @returns {GainNode} Submix input node
  */
-function manageSoundElement(sound, shouldPlay) {
-  if (!sound || !sound.pollution) return
+function getSoundSubmix(sound) {
+  const { submixes } = getAudioEngine()
+  if (sound.isOverlay) return submixes.overlay
+  return sound.is_antropo ? submixes.anthropogenic : submixes.natural
+}
 
-  const audio = gameState.preloadedSounds.get(sound.pollution)
-  if (!audio) return
+/**
+ * Sets the volume of the whole mix
+ * @param {number} volume - Volume between 0 and 1
+ */
+function setMasterVolume(volume) {
+  volume = Number(volume)
+  if (isNaN(volume)) {
+    console.error('Invalid master volume value:', volume)
+    return
+  }
 
-  if (shouldPlay) {
-    audio.loop = true
+  gameState.masterVolume = Math.min(1, Math.max(0, volume))
+  if (audioEngine) {
+    audioEngine.masterGain.gain.value = gameState.masterVolume
+  }
+}
 
-    // Create audio context and nodes if they don't exist
-    if (!audio.audioContext) {
-      audio.audioContext = new AudioContext()
-      audio.source = audio.audioContext.createMediaElementSource(audio)
-      audio.gainNode = audio.audioContext.createGain()
-      audio.source.connect(audio.gainNode)
-      audio.gainNode.connect(audio.audioContext.destination)
-    }
+/**
+ * Sets the level of one category submix
+ * @param {string} category - 'anthropogenic', 'natural' or 'overlay'
+ * @param {number} level - Gain applied to the submix
+ */
+function setSubmixLevel(category, level) {
+  const submix = getAudioEngine().submixes[category]
+  if (!submix) {
+    console.error(`Unknown submix: ${category}`)
+    return
+  }
+  submix.gain.value = level
+}
+
+/**
+ * Measures the level of the game's output
+ * @param {AnalyserNode} analyser - Analyser at the end of the master bus
+ * @returns {number} RMS level in dBFS, -Infinity when silent
+ */
+function measureOutputLevel(analyser) {
+  const samples = new Float32Array(analyser.fftSize)
+  analyser.getFloatTimeDomainData(samples)
+  const meanSquare = samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length
+  return 10 * Math.log10(meanSquare)
+}
+
+/**
+ * Shows the loudness warning while the output is above SAFETY_DEFAULTS.warningDb, and a moment after
+ * @param {Object} engine - Audio engine (see createAudioEngine)
+ * @param {number} [now=Date.now()] - Current time in ms
+ */
+function checkOutputLevel(engine, now = Date.now()) {
+  if (measureOutputLevel(engine.analyser) > SAFETY_DEFAULTS.warningDb) {
+    engine.warningUntil = now + SAFETY_DEFAULTS.warningHold
+  }
+  toggleUIElements({ loudnessWarning: now < engine.warningUntil ? 'block' : 'none' })
+}
+
+/**
+ * Starts polling the output level, called whenever a sound, layer, comparison, preview or tone starts
+ */
+function startOutputMeter() {
+  const engine = getAudioEngine()
+  if (engine.meter) return
+  engine.meter = setInterval(() => checkOutputLevel(engine), SAFETY_DEFAULTS.meterInterval)
+}
+
+/**
+ * Stops polling the output level and hides the warning once nothing plays any more
+ */
+function stopOutputMeter() {
+  if (!audioEngine?.meter) return
+  const { activeVoices, activeLayers, comparison, preview, referenceTone } = gameState
+  if (activeVoices.length > 0 || activeLayers.length > 0 || comparison || preview || referenceTone) return
+
+  clearInterval(audioEngine.meter)
+  audioEngine.meter = null
+  audioEngine.warningUntil = 0
+  toggleUIElements({ loudnessWarning: 'none' })
+}
 
-    // Resume audio context if it's suspended
-    if (audio.audioContext.state === 'suspended') {
-      audio.audioContext.resume()
+/**
+ * Reads the stored hearing-safety calibration
+ * @returns {Object|null} { version, volume, date } or null before the first calibration
+ */
+function loadSafetyCalibration() {
+  try {
+    const calibration = JSON.parse(window.localStorage.getItem(SAFETY_DEFAULTS.storageKey))
+    if (!Number.isFinite(calibration?.volume)) return null
+    return calibration
+  } catch (error) {
+    console.error('Error reading the volume calibration:', error)
+    return null
+  }
+}
+
+/**
+ * Stores the calibrated master volume for the next visits
+ * @param {number} volume - Master volume between 0 and 1
+ * @returns {boolean} Whether the calibration was stored
+ */
+function saveSafetyCalibration(volume) {
+  try {
+    window.localStorage.setItem(
+      SAFETY_DEFAULTS.storageKey,
+      JSON.stringify({ version: SAFETY_DEFAULTS.version, volume, date: new Date().toISOString() })
+    )
+    return true
+  } catch (error) {
+    // Private browsing or a full storage must never break the game, the player calibrates again next time
+    console.error('Error saving the volume calibration:', error)
+    return false
+  }
+}
+
+/**
+ * Removes the stored calibration, so the next game asks for it again
+ */
+function clearSafetyCalibration() {
+  try {
+    window.localStorage.removeItem(SAFETY_DEFAULTS.storageKey)
+  } catch (error) {
+    console.error('Error clearing the volume calibration:', error)
+  }
+}
+
+/**
+ * Plays the calibration's reference tone through the master bus, so the master volume and the ceiling apply
+ */
+function playReferenceTone() {
+  if (gameState.referenceTone) return
+
+  const { context, masterGain } = getAudioEngine()
+  const oscillator = context.createOscillator()
+  oscillator.type = 'sine'
+  oscillator.frequency.value = SAFETY_DEFAULTS.toneFrequency
+  const level = context.createGain()
+  // A sine's RMS is 3 dB below its peak
+  level.gain.value = dbToGain(SAFETY_DEFAULTS.toneDb + 3)
+  oscillator.connect(level)
+  level.connect(masterGain)
+  oscillator.start()
+  startOutputMeter()
+
+  gameState.referenceTone = { oscillator, level }
+  updateReferenceToneButton()
+}
+
+/**
+ * Stops the reference tone if it plays
+ */
+function stopReferenceTone() {
+  if (!gameState.referenceTone) return
+
+  const { oscillator, level } = gameState.referenceTone
+  oscillator.stop()
+  oscillator.disconnect()
+  level.disconnect()
+  gameState.referenceTone = null
+  updateReferenceToneButton()
+  stopOutputMeter()
+}
+
+/**
+ * Starts or stops the reference tone
+ */
+function toggleReferenceTone() {
+  if (gameState.referenceTone) {
+    stopReferenceTone()
+  } else {
+    playReferenceTone()
+  }
+}
+
+/**
+ * Shows whether the reference tone plays on its button
+ */
+function updateReferenceToneButton() {
+  const button = document.getElementById('playReferenceTone')
+  if (!button) return
+  const playing = Boolean(gameState.referenceTone)
+  button.textContent = playing ? 'Zatrzymaj ton' : 'Odtwórz ton odniesienia'
+  button.setAttribute('aria-pressed', String(playing))
+}
+
+/**
+ * Opens the hearing-safety calibration instead of the game controls
+ * @param {boolean} [startAfter=false] - Start the game once the calibration is saved
+ */
+function showSafetyCalibration(startAfter = false) {
+  stopComparison()
+  gameState.startAfterCalibration = startAfter
+
+  // The first calibration starts quiet, later ones from the stored level
+  if (!loadSafetyCalibration()) setMasterVolume(SAFETY_DEFAULTS.initialVolume)
+  const volumeInput = document.getElementById('calibrationVolume')
+  if (volumeInput) volumeInput.value = Math.round(gameState.masterVolume * 100)
+
+  toggleUIElements({ gameControls: 'none', safetyCalibration: 'block' })
+}
+
+/**
+ * Stores the calibrated volume and goes back to the game controls or straight into the game
+ */
+function finishSafetyCalibration() {
+  stopReferenceTone()
+  saveSafetyCalibration(gameState.masterVolume)
+  toggleUIElements({ safetyCalibration: 'none' })
+
+  const masterVolumeInput = document.getElementById('masterVolume')
+  if (masterVolumeInput) masterVolumeInput.value = Math.round(gameState.masterVolume * 100)
+
+  if (gameState.startAfterCalibration) {
+    gameState.startAfterCalibration = false
+    startGame()
+  } else {
+    toggleUIElements({ gameControls: 'block' })
+  }
+}
+
+/**
+ * Start button action: the game only starts once the volume has been calibrated on this device
+ */
+function requestStartGame() {
+  if (loadSafetyCalibration()) {
+    startGame()
+  } else {
+    showSafetyCalibration(true)
+  }
+}
+
+/**
+ * Creates a single biquad filter stage for an effect chain
+ * @param {AudioContext} context - Audio context owning the nodes
+ * @param {string} type - BiquadFilterNode type (lowpass, highpass, lowshelf...)
+ * @param {Object} effect - Effect descriptor with frequency and optional Q/gain
+ * @returns {Object} Stage with input, output and created nodes
+ */
+function createFilterStage(context, type, effect) {
+  const filter = context.createBiquadFilter()
+  filter.type = type
+  filter.frequency.value = effect.frequency
+  if (effect.Q !== undefined) {
+    filter.Q.value = effect.Q
+  }
+  if (effect.gain !== undefined) {
+    filter.gain.value = effect.gain
+  }
+  return { input: filter, output: filter, nodes: [filter] }
+}
+
+// Impulse response library for the reverbation risk function
+const IMPULSE_RESPONSE_PRESETS = {
+  // Hard parallel facades: dense early echoes, medium tail
+  street_canyon: {
+    duration: 1.8,
+    decay: 3,
+    reflections: [0.012, 0.027, 0.041, 0.058, 0.083],
+    reflectionGain: 0.6,
+    damping: 0.2,
+    seed: 1201
+  },
+  // Bats in a cave: long, bright tail with strong flutter echoes off the rock
+  cave: {
+    duration: 3.5,
+    decay: 1.6,
+    reflections: [0.035, 0.07, 0.105, 0.14, 0.175, 0.21],
+    reflectionGain: 0.8,
+    damping: 0.05,
+    seed: 3407
+  },
+  // Foliage scatters and absorbs highs: short, soft tail without discrete echoes
+  forest: {
+    duration: 1.2,
+    decay: 4,
+    reflections: [],
+    reflectionGain: 0,
+    damping: 0.7,
+    seed: 5813
+  }
+}
+
+const DEFAULT_IMPULSE_RESPONSE = 'cave'
+
+// Impulse responses per audio context, computed once per preset
+const impulseResponseCache = new WeakMap()
+
+/**
+ * Creates a deterministic pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Builds the impulse response of a preset. The same preset always yields the same samples.
+ * @param {AudioContext} context - Audio context owning the buffer
+ * @param {Object} preset - Entry of IMPULSE_RESPONSE_PRESETS
+ * @returns {AudioBuffer} Stereo impulse response
+ */
+function createImpulseResponse(context, preset) {
+  const sampleRate = context.sampleRate
+  const length = Math.floor(sampleRate * preset.duration)
+  const impulse = context.createBuffer(2, length, sampleRate)
+
+  for (let channel = 0; channel < 2; channel++) {
+    const random = createSeededRandom(preset.seed + channel)
+    const channelData = impulse.getChannelData(channel)
+    let previous = 0
+    for (let i = 0; i < length; i++) {
+      const noise = random() * 2 - 1
+      // One-pole lowpass: higher damping dulls the tail
+      previous = previous * preset.damping + noise * (1 - preset.damping)
+      channelData[i] = previous * Math.pow(1 - i / length, preset.decay)
     }
 
-    // Apply volume adjustment if specified
-    if (sound.volumeAdjustment !== undefined && sound.volumeAdjustment !== null) {
-      const volumeAdjustment = parseFloat(sound.volumeAdjustment)
-      if (!isNaN(volumeAdjustment) && volumeAdjustment > 0) {
-        audio.gainNode.gain.value = volumeAdjustment
-      } else {
-        audio.gainNode.gain.value = 1.0
+    // Discrete early reflections, slightly offset between channels for width
+    preset.reflections.forEach((time, index) => {
+      const position = Math.floor((time + channel * 0.002) * sampleRate)
+      if (position < length) {
+        channelData[position] += preset.reflectionGain * Math.pow(0.8, index)
       }
-    } else {
-      audio.gainNode.gain.value = 1.0
-    }
+    })
+  }
+
+  return impulse
+}
+
+/**
+ * Returns the cached impulse response of a preset, computing it on first use
+ * @param {AudioContext} context - Audio context owning the buffer
+ * @param {string} name - Preset name from IMPULSE_RESPONSE_PRESETS
+ * @returns {AudioBuffer} Stereo impulse response
+ */
+function getImpulseResponse(context, name) {
+  let presetName = name || DEFAULT_IMPULSE_RESPONSE
+  if (!IMPULSE_RESPONSE_PRESETS[presetName]) {
+    console.error(`Unknown impulse response: ${presetName}`)
+    presetName = DEFAULT_IMPULSE_RESPONSE
+  }
+
+  if (!impulseResponseCache.has(context)) {
+    impulseResponseCache.set(context, new Map())
+  }
+  const cache = impulseResponseCache.get(context)
+  if (!cache.has(presetName)) {
+    cache.set(presetName, createImpulseResponse(context, IMPULSE_RESPONSE_PRESETS[presetName]))
+  }
+  return cache.get(presetName)
+}
+
+/**
+ * Factories turning effect descriptors into Web Audio stages.
+ * Every factory returns { input, output, nodes } so stages can be stacked in any order.
+ */
+const effectStageFactories = {
+  gain: (context, effect) => {
+    const gainNode = context.createGain()
+    gainNode.gain.value = effect.value
+    return { input: gainNode, output: gainNode, nodes: [gainNode] }
+  },
+  lowpass: (context, effect) => createFilterStage(context, 'lowpass', effect),
+  highpass: (context, effect) => createFilterStage(context, 'highpass', effect),
+  lowshelf: (context, effect) => createFilterStage(context, 'lowshelf', effect),
+  transient: (context, effect) => {
+    // Slow attack lets onsets through before the body is compressed, so sudden peaks stand out
+    const compressor = context.createDynamicsCompressor()
+    compressor.threshold.value = -30
+    compressor.knee.value = 6
+    compressor.ratio.value = 1 + 5 * effect.amount
+    compressor.attack.value = 0.03
+    compressor.release.value = 0.15
+    const makeupGain = context.createGain()
+    makeupGain.gain.value = 1 + effect.amount
+    compressor.connect(makeupGain)
+    return { input: compressor, output: makeupGain, nodes: [compressor, makeupGain] }
+  },
+  limiter: (context, effect) => {
+    const limiter = context.createDynamicsCompressor()
+    limiter.threshold.value = effect.threshold !== undefined ? effect.threshold : -1
+    limiter.knee.value = 0
+    limiter.ratio.value = 20
+    limiter.attack.value = 0.001
+    limiter.release.value = 0.1
+    return { input: limiter, output: limiter, nodes: [limiter] }
+  },
+  reverb: (context, effect) => {
+    // mix: 0 keeps only the dry signal, 1 only the reverberated one
+    const mix = Math.min(1, Math.max(0, effect.mix !== undefined ? effect.mix : 0.35))
+    const input = context.createGain()
+    const convolver = context.createConvolver()
+    convolver.buffer = getImpulseResponse(context, effect.impulse)
+    const wetGain = context.createGain()
+    wetGain.gain.value = mix
+    const dryGain = context.createGain()
+    dryGain.gain.value = 1 - mix
+    const output = context.createGain()
+
+    input.connect(convolver)
+    convolver.connect(wetGain)
+    wetGain.connect(output)
+    input.connect(dryGain)
+    dryGain.connect(output)
+    return { input, output, nodes: [input, convolver, wetGain, dryGain, output] }
+  }
+}
+
+// loud_sounds_louder model: sounds at or above the threshold get a boost growing with their peak level
+const LOUDNESS_DEFAULTS = {
+  thresholdDb: 50, // Lower bound of the amplitude range needed for a boost
+  baseBoostDb: 3, // Boost of a sound right at the threshold
+  boostPerDb: 0.15, // Extra boost per dB of the upper bound above the threshold
+  maxBoostDb: 12, // Ceiling of the boost
+  transientRangeDb: 60 // Amplitude range that gives full transient emphasis
+}
 
-    // Disconnect existing nodes to rebuild the chain
-    if (audio.filterNode) {
-      audio.filterNode.disconnect()
+/**
+ * Converts decibels to a linear gain factor
+ * @param {number} db - Level in decibels
+ * @returns {number} Linear gain
+ */
+function dbToGain(db) {
+  return Math.pow(10, db / 20)
+}
+
+/**
+ * Computes the loud_sounds_louder boost for a single pollution
+ * @param {Object} sound - Sound data object with an amplitude range
+ * @param {Object} [options] - Model overrides, see LOUDNESS_DEFAULTS
+ * @returns {Object|null} { gainDb, transient } or null if the sound is not loud enough
+ */
+function computeLoudnessAdjustment(sound, options = LOUDNESS_DEFAULTS) {
+  const model = { ...LOUDNESS_DEFAULTS, ...options }
+  const level = getAmplitude(sound)
+  if (!level || level.min_db < model.thresholdDb) return null
+
+  const gainDb = Math.min(model.maxBoostDb, model.baseBoostDb + (level.max_db - model.thresholdDb) * model.boostPerDb)
+  // A wide dB range means sudden peaks: emphasize the transients
+  const transient = Math.min(1, (level.max_db - level.min_db) / model.transientRangeDb)
+
+  return { gainDb, transient }
+}
+
+// Playback calibration: every file is measured at preload, then played at a level following its typical dB
+const CALIBRATION_DEFAULTS = {
+  referenceDb: 70, // Catalogued typical level played at referenceLoudnessDb
+  referenceLoudnessDb: -24, // dBFS
+  dbScale: 0.5, // Playback dB per catalogued dB: 30-150 dB of real sound doesn't fit on headphones
+  maxLoudnessDb: -12, // dBFS, highest calibrated level: boosts and effects add to it, SAFETY_DEFAULTS.ceilingDb holds
+  maxGainDb: 24, // Quiet recordings are raised at most this much, so their noise doesn't come up with them
+  blockDuration: 0.4, // s, measurement blocks as in LUFS
+  gateDb: -70 // Blocks quieter than this (silence between events) don't count
+}
+
+// Measured loudness in dBFS per decoded buffer, null for silent files (see getBufferLoudness)
+const bufferLoudness = new WeakMap()
+
+/**
+ * Measures the loudness of a decoded sound: gated RMS over short blocks, the unweighted core of LUFS
+ * @param {AudioBuffer} buffer - Decoded sound
+ * @param {Object} [options] - Overrides, see CALIBRATION_DEFAULTS
+ * @returns {number|null} Loudness in dBFS, null if the sound is silent
+ */
+function measureLoudness(buffer, options = CALIBRATION_DEFAULTS) {
+  const { blockDuration, gateDb } = { ...CALIBRATION_DEFAULTS, ...options }
+  const blockLength = Math.max(1, Math.round(buffer.sampleRate * blockDuration))
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, channel) => buffer.getChannelData(channel))
+  const gate = dbToGain(gateDb) ** 2
+
+  let gatedSum = 0
+  let gatedBlocks = 0
+  for (let start = 0; start < buffer.length; start += blockLength) {
+    const end = Math.min(buffer.length, start + blockLength)
+    let sum = 0
+    channels.forEach((data) => {
+      for (let i = start; i < end; i++) sum += data[i] * data[i]
+    })
+    const meanSquare = sum / ((end - start) * channels.length)
+    if (meanSquare > gate) {
+      gatedSum += meanSquare
+      gatedBlocks++
     }
-    if (audio.bassBoostNode) {
-      audio.bassBoostNode.disconnect()
+  }
+
+  return gatedBlocks > 0 ? 10 * Math.log10(gatedSum / gatedBlocks) : null
+}
+
+/**
+ * Returns the loudness of a decoded sound, measured once per buffer
+ * @param {AudioBuffer} buffer - Decoded sound
+ * @returns {number|null} Loudness in dBFS, see measureLoudness
+ */
+function getBufferLoudness(buffer) {
+  if (!bufferLoudness.has(buffer)) bufferLoudness.set(buffer, measureLoudness(buffer))
+  return bufferLoudness.get(buffer)
+}
+
+/**
+ * Computes the playback gain of a sound: the file is normalized and re-scaled to its catalogued typical dB,
+ * capped at maxLoudnessDb, then the boost is added on top so loud sounds keep their emphasis. The effects after it
+ * (transient makeup, low shelf, voice limiter) can raise the level further; only the master ceiling bounds the output
+ * @param {Object} sound - Sound data object
+ * @param {number} [boostDb=0] - Extra boost from loud_sounds_louder, added after the cap
+ * @param {AudioBuffer} [buffer] - Decoded file the sound is played from, the preloaded one by default
+ * @param {Object} [options] - Overrides, see CALIBRATION_DEFAULTS
+ * @returns {number} Gain in dB; just the boost for overlays and sounds without a measurement or amplitude
+ */
+function getCalibrationDb(
+  sound,
+  boostDb = 0,
+  buffer = gameState.preloadedSounds.get(sound.pollution),
+  options = CALIBRATION_DEFAULTS
+) {
+  const model = { ...CALIBRATION_DEFAULTS, ...options }
+  const loudness = buffer && !sound.isOverlay ? getBufferLoudness(buffer) : null
+  const level = getAmplitude(sound)
+  if (loudness === null || !level) return boostDb
+
+  const target = model.referenceLoudnessDb + (level.typical_db - model.referenceDb) * model.dbScale
+  return Math.min(Math.min(target, model.maxLoudnessDb) - loudness, model.maxGainDb) + boostDb
+}
+
+/**
+ * Effects playing a sound at its calibrated level without any recipient processing (typical listener)
+ * @param {Object} sound - Sound data object
+ * @param {AudioBuffer} [buffer] - Decoded file the sound is played from, the preloaded one by default
+ * @returns {Array} Effect descriptors
+ */
+function getCalibrationEffects(sound, buffer) {
+  return [{ type: 'gain', value: dbToGain(getCalibrationDb(sound, 0, buffer)) }]
+}
+
+/**
+ * Builds the leading effects of a sound: its calibrated level including the per-game loudness boost
+ * @param {Object} sound - Sound data object
+ * @returns {Array} Effect descriptors
+ */
+function getLevelEffects(sound) {
+  const adjustment = gameState.loudnessAdjustments.get(sound.pollution)
+  if (!adjustment) {
+    return getCalibrationEffects(sound)
+  }
+
+  const effects = [{ type: 'gain', value: dbToGain(getCalibrationDb(sound, adjustment.gainDb)) }]
+  if (adjustment.transient > 0) {
+    effects.push({ type: 'transient', amount: adjustment.transient })
+  }
+  // The boost must never clip, whatever the source level
+  effects.push({ type: 'limiter', threshold: -1 })
+  return effects
+}
+
+// distorted_song_pattern model: urban birds sing higher and faster, and traffic drowns them out
+const BIRDSONG_DEFAULTS = {
+  name: 'zniekształcony śpiew ptaków', // Overlay name, not one of the guessable pollutions
+  soundFile: 'sounds/birds_393699.ogg',
+  basePlaybackRate: 1.2, // Pitch/tempo factor without any traffic
+  playbackRatePerSound: 0.05, // Extra shift per anthropogenic sound in the selection
+  maxPlaybackRate: 1.5,
+  lowCutFrequency: 1500, // Hz, urban songs lose their low notes
+  maskingDbPerSound: 6, // Attenuation per anthropogenic sound in the selection
+  maxMaskingDb: 30
+}
+
+/**
+ * Creates the distorted birdsong overlay for the current selection
+ * @param {Array} sounds - Selected sounds; anthropogenic ones mask the song
+ * @param {Object} [options] - Model overrides, see BIRDSONG_DEFAULTS
+ * @returns {Object} Overlay sound (not guessable) with its own effects
+ */
+function createDistortedSongSound(sounds, options = BIRDSONG_DEFAULTS) {
+  const model = { ...BIRDSONG_DEFAULTS, ...options }
+  const anthropogenicCount = sounds.filter((sound) => sound.is_antropo && !sound.isOverlay).length
+  const playbackRate = Math.min(
+    model.maxPlaybackRate,
+    model.basePlaybackRate + model.playbackRatePerSound * anthropogenicCount
+  )
+  const maskingDb = Math.min(model.maxMaskingDb, model.maskingDbPerSound * anthropogenicCount)
+
+  return {
+    pollution: BIRDSONG_DEFAULTS.name,
+    sound_file: model.soundFile,
+    amplitude: { min_db: 0, max_db: 0, typical_db: 0 },
+    isOverlay: true,
+    // Tape-speed change: pitch and tempo rise together by the same factor, the phrases keep their pattern
+    playbackRate,
+    effects: [
+      { type: 'highpass', frequency: model.lowCutFrequency, Q: 0.7 },
+      { type: 'gain', value: dbToGain(-maskingDb) }
+    ]
+  }
+}
+
+/**
+ * Appends an effect descriptor to the sound's effect chain
+ * @param {Object} sound - Sound data object
+ * @param {Object} effect - Effect descriptor, e.g. { type: 'lowpass', frequency: 200 }
+ */
+function addSoundEffect(sound, effect) {
+  if (!sound.effects) {
+    sound.effects = []
+  }
+  sound.effects.push(effect)
+}
+
+/**
+ * Derives a per-round sound instance from a catalogue entry.
+ * Risk functions only ever modify these instances, so the catalogue stays the same between rounds.
+ * @param {Object} sound - Catalogue entry, or a session sound to derive a fresh instance from
+ * @returns {Object} Session sound with an empty effect chain
+ */
+function createSessionSound(sound) {
+  const catalogueEntry = sound.catalogueEntry || sound
+  return { ...catalogueEntry, catalogueEntry, effects: [] }
+}
+
+/**
+ * Builds a Web Audio graph stacking every effect in order:
+ * source -> effect 1 -> effect 2 -> ... -> destination
+ * @param {AudioContext} context - Audio context owning the nodes
+ * @param {AudioNode} source - Node feeding the chain
+ * @param {Array} effects - Ordered list of effect descriptors
+ * @param {AudioNode} destination - Node receiving the processed signal
+ * @returns {Object} Chain handle used by teardownEffectChain
+ */
+function buildEffectChain(context, source, effects = [], destination) {
+  const nodes = []
+  let tail = source
+
+  effects.forEach((effect) => {
+    const createStage = effectStageFactories[effect.type]
+    if (!createStage) {
+      console.error(`Unknown effect type: ${effect.type}`)
+      return
     }
-    if (audio.reverbNode) {
-      audio.reverbNode.disconnect()
-      if (audio.reverbGainNode) {
-        audio.reverbGainNode.disconnect()
-      }
+    const stage = createStage(context, effect)
+    tail.connect(stage.input)
+    tail = stage.output
+    nodes.push(...stage.nodes)
+  })
+
+  tail.connect(destination)
+
+  return { source, nodes, effects }
+}
+
+/**
+ * Disconnects every node of an effect chain so it can be garbage collected
+ * @param {Object} chain - Chain handle returned by buildEffectChain
+ */
+function teardownEffectChain(chain) {
+  if (!chain) return
+  chain.source.disconnect()
+  chain.nodes.forEach((node) => node.disconnect())
+}
+
+// Default tinnitus tone: a high sine in the 4-8 kHz range heard in the right ear only
+const TINNITUS_DEFAULTS = {
+  frequency: 6000, // Hz
+  level: 0.05, // Linear gain of the tone
+  wobble: { rate: 0.2, depth: 0.5 } // Slow amplitude modulation (Hz, fraction of level)
+}
+
+/**
+ * Creates a tinnitus layer descriptor, clamping options to safe ranges
+ * @param {Object} [options] - Overrides for frequency, level and wobble (false disables wobble)
+ * @returns {Object} Background layer descriptor
+ */
+function createTinnitusLayer(options = {}) {
+  const frequency = Number(options.frequency ?? TINNITUS_DEFAULTS.frequency)
+  const level = Number(options.level ?? TINNITUS_DEFAULTS.level)
+  const wobble = options.wobble === false ? null : { ...TINNITUS_DEFAULTS.wobble, ...(options.wobble || {}) }
+
+  return {
+    type: 'tinnitus',
+    frequency: Math.min(8000, Math.max(4000, isNaN(frequency) ? TINNITUS_DEFAULTS.frequency : frequency)),
+    level: Math.min(0.2, Math.max(0, isNaN(level) ? TINNITUS_DEFAULTS.level : level)),
+    wobble
+  }
+}
+
+// Default rumble: sub-bass drone plus low-passed noise modelling traffic and industry exposure
+const RUMBLE_DEFAULTS = {
+  frequency: 40, // Hz, drone oscillator
+  cutoff: 120, // Hz, noise lowpass cutoff
+  minLevel: 0.05, // Level for quiet selections (30 dB)
+  maxLevel: 0.4, // Level for very loud selections (130 dB)
+  shelfFrequency: 120, // Hz, low-shelf applied to anthropogenic sounds
+  shelfGain: 8 // dB
+}
+
+/**
+ * Maps the average amplitude of the selected sounds to a rumble level
+ * @param {Array} sounds - Selected sounds
+ * @param {Object} [options] - Model overrides, see RUMBLE_DEFAULTS
+ * @returns {number} Linear gain of the rumble layer
+ */
+function computeRumbleLevel(sounds, options = RUMBLE_DEFAULTS) {
+  const model = { ...RUMBLE_DEFAULTS, ...options }
+  const amplitudes = sounds
+    .filter((sound) => !sound.isOverlay)
+    .map((sound) => getAmplitude(sound)?.typical_db || 0)
+    .filter((amplitude) => amplitude > 0)
+
+  if (amplitudes.length === 0) return model.minLevel
+
+  const average = amplitudes.reduce((sum, amplitude) => sum + amplitude, 0) / amplitudes.length
+  // 30 dB (quiet room) maps to minLevel, 130 dB (jet engine) to maxLevel
+  const ratio = Math.min(1, Math.max(0, (average - 30) / 100))
+  return model.minLevel + ratio * (model.maxLevel - model.minLevel)
+}
+
+/**
+ * Creates a rumble layer descriptor for the given selection
+ * @param {Array} sounds - Selected sounds driving the rumble level
+ * @param {Object} [options] - Model overrides, see RUMBLE_DEFAULTS
+ * @returns {Object} Background layer descriptor
+ */
+function createRumbleLayer(sounds, options = RUMBLE_DEFAULTS) {
+  const model = { ...RUMBLE_DEFAULTS, ...options }
+  return {
+    type: 'rumble',
+    frequency: model.frequency,
+    cutoff: model.cutoff,
+    level: computeRumbleLevel(sounds, model)
+  }
+}
+
+/**
+ * Generates brown noise (integrated white noise) with most energy in the low band
+ * @param {AudioContext} context - Audio context owning the buffer
+ * @param {number} duration - Buffer length in seconds
+ * @returns {AudioBuffer} Mono noise buffer
+ */
+function createBrownNoiseBuffer(context, duration) {
+  const length = context.sampleRate * duration
+  const buffer = context.createBuffer(1, length, context.sampleRate)
+  const data = buffer.getChannelData(0)
+
+  let last = 0
+  for (let i = 0; i < length; i++) {
+    const white = Math.random() * 2 - 1
+    last = (last + 0.02 * white) / 1.02
+    data[i] = last * 3.5 // Compensate for the level lost by integration
+  }
+
+  return buffer
+}
+
+/**
+ * Factories turning background layer descriptors into running Web Audio graphs.
+ * Every factory returns { nodes, sources } where sources are started/stopped nodes.
+ */
+// Each factory routes its layer into the overlay submix unless given another destination
+const backgroundLayerFactories = {
+  tinnitus: (engine, layer, destination = engine.submixes.overlay) => {
+    const { context } = engine
+
+    const oscillator = context.createOscillator()
+    oscillator.type = 'sine'
+    oscillator.frequency.value = layer.frequency
+
+    const levelGain = context.createGain()
+    levelGain.gain.value = layer.level
+
+    // Hard right: the tone is heard in one ear only
+    const panner = context.createStereoPanner()
+    panner.pan.value = 1
+
+    oscillator.connect(levelGain)
+    levelGain.connect(panner)
+    panner.connect(destination)
+
+    const nodes = [oscillator, levelGain, panner]
+    const sources = [oscillator]
+
+    if (layer.wobble) {
+      // LFO modulating the tone level around its base value
+      const lfo = context.createOscillator()
+      lfo.frequency.value = layer.wobble.rate
+      const depth = context.createGain()
+      depth.gain.value = layer.level * layer.wobble.depth
+      lfo.connect(depth)
+      depth.connect(levelGain.gain)
+      nodes.push(lfo, depth)
+      sources.push(lfo)
     }
-    audio.gainNode.disconnect()
 
-    // Start with the source connected to gain
-    audio.source.connect(audio.gainNode)
+    return { nodes, sources }
+  },
+  rumble: (engine, layer, destination = engine.submixes.overlay) => {
+    const { context } = engine
+
+    // Looping low-passed noise for the broadband traffic/industry rumble
+    const noise = context.createBufferSource()
+    noise.buffer = createBrownNoiseBuffer(context, 2)
+    noise.loop = true
+    const lowpass = context.createBiquadFilter()
+    lowpass.type = 'lowpass'
+    lowpass.frequency.value = layer.cutoff
+
+    // Steady sub-bass drone underneath
+    const drone = context.createOscillator()
+    drone.type = 'sine'
+    drone.frequency.value = layer.frequency
+
+    const levelGain = context.createGain()
+    levelGain.gain.value = layer.level
+
+    noise.connect(lowpass)
+    lowpass.connect(levelGain)
+    drone.connect(levelGain)
+    levelGain.connect(destination)
+
+    return { nodes: [noise, lowpass, drone, levelGain], sources: [noise, drone] }
+  }
+}
 
-    // Apply lowpass filter if specified
-    if (sound.lowpassFilter !== undefined && sound.lowpassFilter !== null) {
-      // Create and configure lowpass filter
-      audio.filterNode = audio.audioContext.createBiquadFilter()
-      audio.filterNode.type = 'lowpass'
-      audio.filterNode.frequency.value = sound.lowpassFilter
-      audio.filterNode.Q.value = 1 // Quality factor for a gentle rolloff
+/**
+ * Starts every background layer requested by the risk functions
+ */
+function startBackgroundLayers() {
+  stopBackgroundLayers()
 
-      // Connect gain to filter
-      audio.gainNode.connect(audio.filterNode)
-      // Connect filter to destination
-      audio.filterNode.connect(audio.audioContext.destination)
+  if (gameState.backgroundLayers.length === 0) return
 
-      console.log(`Connected lowpass filter for ${sound.pollution} at ${sound.lowpassFilter}Hz`)
-    } else {
-      // If no filter, connect gain directly to destination
-      audio.gainNode.connect(audio.audioContext.destination)
+  const engine = getAudioEngine()
+  gameState.backgroundLayers.forEach((layer) => {
+    const createLayer = backgroundLayerFactories[layer.type]
+    if (!createLayer) {
+      console.error(`Unknown background layer type: ${layer.type}`)
+      return
     }
+    const handle = createLayer(engine, layer)
+    handle.sources.forEach((source) => source.start())
+    gameState.activeLayers.push(handle)
+  })
+  startOutputMeter()
+}
 
-    // Apply highpass filter if specified
-    if (sound.highpassFilter !== undefined && sound.highpassFilter !== null) {
-      // Create and configure highpass filter
-      audio.highpassNode = audio.audioContext.createBiquadFilter()
-      audio.highpassNode.type = 'highpass'
-      audio.highpassNode.frequency.value = sound.highpassFilter
-      audio.highpassNode.Q.value = 1
-
-      // Disconnect existing connections
-      if (audio.filterNode) {
-        audio.filterNode.disconnect()
-      }
-      audio.gainNode.disconnect()
+/**
+ * Stops and disconnects all running background layers
+ */
+function stopBackgroundLayers() {
+  gameState.activeLayers.forEach((handle) => {
+    handle.sources.forEach((source) => source.stop())
+    handle.nodes.forEach((node) => node.disconnect())
+  })
+  gameState.activeLayers = []
+}
+
+/**
+ * Lists the effects a sound is played through during the round
+ * @param {Object} sound - Session sound with its effects
+ * @returns {Array} Effect descriptors
+ */
+function getVoiceEffects(sound) {
+  // Level effects always head the chain, followed by the risk function effects
+  return [...getLevelEffects(sound), ...(sound.effects || [])]
+}
+
+/**
+ * Starts looping a decoded sound through its effect chain into its submix
+ * @param {Object} sound - Session sound with its effects
+ * @param {AudioBuffer} buffer - Decoded sound file
+ * @param {Array} [effects=getVoiceEffects(sound)] - Effects to play the sound through
+ * @returns {Object} Voice handle { sound, source, effectChain }
+ */
+function startSoundVoice(sound, buffer, effects = getVoiceEffects(sound)) {
+  const engine = getAudioEngine()
+  const source = createLoopSource(engine.context, sound, buffer)
+  const effectChain = buildEffectChain(engine.context, source, effects, getSoundSubmix(sound))
+
+  console.log(
+    `Connected effect chain for ${sound.pollution}:`,
+    effects.map((effect) => effect.type)
+  )
+
+  source.start()
+  startOutputMeter()
+  return { sound, source, effectChain }
+}
+
+/**
+ * Creates a looping buffer source for a sound
+ * @param {AudioContext} context - Audio context owning the source
+ * @param {Object} sound - Sound data object
+ * @param {AudioBuffer} buffer - Decoded sound file
+ * @returns {AudioBufferSourceNode} Source, not started yet
+ */
+function createLoopSource(context, sound, buffer) {
+  // Buffer sources are single-use, every playback gets a new one
+  const source = context.createBufferSource()
+  source.buffer = buffer
+  source.loop = true
+  // Pitch and tempo change together, like a sped-up tape (distorted_song_pattern)
+  source.playbackRate.value = sound.playbackRate || 1
+  return source
+}
+
+/**
+ * Stops a voice and releases its effect chain
+ * @param {Object} voice - Voice handle returned by startSoundVoice
+ */
+function stopSoundVoice(voice) {
+  voice.source.stop()
+  teardownEffectChain(voice.effectChain)
+}
+
+/**
+ * Manages sound playback
+ * @param {Object} sound - Sound data object
+ * @param {boolean} shouldPlay - Whether to play or stop the sound
+ */
+function manageSoundElement(sound, shouldPlay) {
+  if (!sound || !sound.pollution) return
+
+  // Playing a sound again replaces its voice instead of layering a second copy
+  gameState.activeVoices
+    .filter((voice) => voice.sound.pollution === sound.pollution)
+    .forEach((voice) => stopSoundVoice(voice))
+  gameState.activeVoices = gameState.activeVoices.filter((voice) => voice.sound.pollution !== sound.pollution)
+  gameState.activeSounds = gameState.activeSounds.filter((s) => s.pollution !== sound.pollution)
+
+  if (!shouldPlay) {
+    stopOutputMeter()
+    return
+  }
+
+  const buffer = gameState.preloadedSounds.get(sound.pollution)
+  if (!buffer) return
+
+  gameState.activeVoices.push(startSoundVoice(sound, buffer))
+  gameState.activeSounds.push(sound)
+}
+
+// A/B comparison on the setup screen: the same mix heard by a typical listener and by the selected recipients
+const COMPARISON_DEFAULTS = {
+  soundCount: 3, // Sounds in the comparison mix
+  fadeTime: 0.05, // Time constant of the crossfader in seconds, keeps flips click-free
+  shortcut: 'b' // Key flipping between A and B
+}
+
+/**
+ * Starts the A/B comparison: a random mix with the selected recipients' risk functions, played through
+ * an unprocessed chain (A) and the processed chain (B) at the same time and blended by the crossfader
+ * @returns {Promise<void>}
+ */
+async function startComparison() {
+  stopComparison()
+
+  if (gameState.selectedRecipients.length === 0) {
+    updateComparisonStatus('Wybierz grupę odbiorców, aby porównać')
+    return
+  }
+
+  // Stopping the comparison or starting the game while the sounds load abandons this comparison
+  const token = {}
+  gameState.comparisonPending = token
+
+  gameState.selectedSounds = selectRandomSounds(COMPARISON_DEFAULTS.soundCount)
+  // Only the sound effects: the setup screen has no timers for reduced_time to shorten
+  applyRiskFunctions({ changeRules: false })
+  // Overlays from the risk functions still need decoding
+  await preloadSounds()
+  if (gameState.comparisonPending !== token) return
+  gameState.comparisonPending = null
+
+  const engine = getAudioEngine()
+  const { context } = engine
+  const buses = { typical: context.createGain(), recipient: context.createGain() }
+  buses.typical.connect(engine.masterGain)
+  buses.recipient.connect(engine.masterGain)
+
+  const voices = []
+  gameState.selectedSounds.forEach((sound) => {
+    const buffer = gameState.preloadedSounds.get(sound.pollution)
+    if (!buffer) return
+
+    // One source feeds both chains so A and B stay in sync; overlays only exist for the recipients
+    const source = createLoopSource(context, sound, buffer)
+    const chains = [buildEffectChain(context, source, getVoiceEffects(sound), buses.recipient)]
+    if (!sound.isOverlay) {
+      chains.push(buildEffectChain(context, source, getCalibrationEffects(sound), buses.typical))
+    }
+    source.start()
+    voices.push({ sound, source, chains })
+  })
 
-      // Connect the chain: source -> gain -> highpass -> destination
-      audio.gainNode.connect(audio.highpassNode)
-      audio.highpassNode.connect(audio.audioContext.destination)
+  const layers = gameState.backgroundLayers
+    .filter((layer) => backgroundLayerFactories[layer.type])
+    .map((layer) => {
+      const handle = backgroundLayerFactories[layer.type](engine, layer, buses.recipient)
+      handle.sources.forEach((source) => source.start())
+      return handle
+    })
 
-      console.log(`Connected highpass filter for ${sound.pollution} at ${sound.highpassFilter}Hz`)
-    }
+  gameState.comparison = { buses, voices, layers }
+  setComparisonMix(gameState.comparisonMix)
+  startOutputMeter()
 
-    // Apply bass boost if specified
-    if (sound.bassBoost !== undefined && sound.bassBoost !== null) {
-      // Create and configure bass boost filter
-      audio.bassBoostNode = audio.audioContext.createBiquadFilter()
-      audio.bassBoostNode.type = 'lowshelf'
-      audio.bassBoostNode.frequency.value = sound.bassBoost.frequency
-      audio.bassBoostNode.gain.value = sound.bassBoost.gain
-
-      // Disconnect existing connections
-      if (audio.filterNode) {
-        audio.filterNode.disconnect()
-      }
-      if (audio.highpassNode) {
-        audio.highpassNode.disconnect()
-      }
-      audio.gainNode.disconnect()
+  const button = document.getElementById('compareMix')
+  if (button) button.setAttribute('aria-pressed', 'true')
+}
 
-      // Connect the chain: source -> gain -> bass boost -> destination
-      audio.gainNode.connect(audio.bassBoostNode)
-      audio.bassBoostNode.connect(audio.audioContext.destination)
+/**
+ * Stops the A/B comparison and forgets its mix
+ */
+function stopComparison() {
+  const { comparison, comparisonPending } = gameState
+  if (!comparison && !comparisonPending) return
+  gameState.comparisonPending = null
+
+  if (comparison) {
+    comparison.voices.forEach(({ source, chains }) => {
+      source.stop()
+      chains.forEach((chain) => teardownEffectChain(chain))
+    })
+    comparison.layers.forEach((handle) => {
+      handle.sources.forEach((source) => source.stop())
+      handle.nodes.forEach((node) => node.disconnect())
+    })
+    Object.values(comparison.buses).forEach((bus) => bus.disconnect())
+  }
 
-      console.log(
-        `Connected bass boost for ${sound.pollution} at ${sound.bassBoost.frequency}Hz with ${sound.bassBoost.gain}dB gain`
-      )
-    }
+  gameState.comparison = null
+  gameState.selectedSounds = []
+  gameState.backgroundLayers = []
+  gameState.loudnessAdjustments.clear()
+  stopOutputMeter()
 
-    // Apply reverbation if specified
-    if (sound.reverbation !== undefined && sound.reverbation !== null) {
-      // Create and configure reverb
-      audio.reverbNode = audio.audioContext.createConvolver()
-
-      // Create impulse response for reverb
-      const sampleRate = audio.audioContext.sampleRate
-      const length = sampleRate * 2 // 2 seconds of reverb
-      const impulse = audio.audioContext.createBuffer(2, length, sampleRate)
-
-      // Generate impulse response
-      for (let channel = 0; channel < 2; channel++) {
-        const channelData = impulse.getChannelData(channel)
-        for (let i = 0; i < length; i++) {
-          // Exponential decay
-          channelData[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 2)
-        }
-      }
+  const button = document.getElementById('compareMix')
+  if (button) button.setAttribute('aria-pressed', 'false')
+  updateComparisonStatus('')
+}
 
-      audio.reverbNode.buffer = impulse
+/**
+ * Starts or stops the A/B comparison
+ * @returns {Promise<void>}
+ */
+async function toggleComparison() {
+  if (gameState.comparison || gameState.comparisonPending) {
+    stopComparison()
+  } else {
+    await startComparison()
+  }
+}
 
-      // Create wet/dry mix
-      audio.reverbGainNode = audio.audioContext.createGain()
-      audio.reverbGainNode.gain.value = 0.3 // Adjust this value to control reverb intensity
+/**
+ * Moves the crossfader between the typical listener (0) and the selected recipients (1)
+ * @param {number} mix - Crossfader position between 0 and 1
+ */
+function setComparisonMix(mix) {
+  mix = Number(mix)
+  if (isNaN(mix)) {
+    console.error('Invalid comparison mix value:', mix)
+    return
+  }
 
-      // Disconnect existing connections
-      if (audio.filterNode) {
-        audio.filterNode.disconnect()
-      }
-      if (audio.highpassNode) {
-        audio.highpassNode.disconnect()
-      }
-      if (audio.bassBoostNode) {
-        audio.bassBoostNode.disconnect()
-      }
-      audio.gainNode.disconnect()
+  gameState.comparisonMix = Math.min(1, Math.max(0, mix))
 
-      // Connect the chain: source -> gain -> reverb -> reverbGain -> destination
-      audio.gainNode.connect(audio.reverbNode)
-      audio.reverbNode.connect(audio.reverbGainNode)
-      audio.reverbGainNode.connect(audio.audioContext.destination)
+  const slider = document.getElementById('comparisonMix')
+  if (slider) slider.value = Math.round(gameState.comparisonMix * 100)
 
-      console.log(`Connected reverbation for ${sound.pollution}`)
-    }
+  const comparison = gameState.comparison
+  if (!comparison) return
 
-    audio.play()
+  // Equal-power curve: the blend in the middle is as loud as either side
+  const { currentTime } = comparison.buses.typical.context
+  const angle = (gameState.comparisonMix * Math.PI) / 2
+  comparison.buses.typical.gain.setTargetAtTime(Math.cos(angle), currentTime, COMPARISON_DEFAULTS.fadeTime)
+  comparison.buses.recipient.gain.setTargetAtTime(Math.sin(angle), currentTime, COMPARISON_DEFAULTS.fadeTime)
 
-    // Add to active sounds and sound elements
-    gameState.activeSounds.push(sound)
-    gameState.soundElements.push({ element: audio })
+  if (gameState.comparisonMix === 0) {
+    updateComparisonStatus('Słyszysz A: typowy słuchacz')
+  } else if (gameState.comparisonMix === 1) {
+    updateComparisonStatus(`Słyszysz B: ${formatRecipientLabels(gameState.selectedRecipients)}`)
   } else {
-    audio.pause()
-    audio.currentTime = 0
-    audio.loop = false
-
-    // Remove from active sounds and sound elements
-    gameState.activeSounds = gameState.activeSounds.filter((s) => s.pollution !== sound.pollution)
-    gameState.soundElements = gameState.soundElements.filter((s) => s.element !== audio)
+    updateComparisonStatus(`Słyszysz mieszankę A/B (${Math.round(gameState.comparisonMix * 100)}% B)`)
   }
 }
 
+/**
+ * Flips the crossfader to whichever side it is further from
+ */
+function flipComparison() {
+  setComparisonMix(gameState.comparisonMix < 0.5 ? 1 : 0)
+}
+
+/**
+ * Shows what the A/B comparison is playing
+ * @param {string} text - Status text
+ */
+function updateComparisonStatus(text) {
+  const status = document.getElementById('comparisonStatus')
+  if (status) status.textContent = text
+}
+
 /**
  * Shows or hides the time progress bar
  * @param {boolean} show - Whether to show or hide the progress bar
@@ -334,7 +1409,7 @@ function updateTimer(time, isGuessingPhase = false) {
   }
 
   // Update progress bar
-  const totalTime = isGuessingPhase ? 10 : 30 // Default times for each phase
+  const totalTime = isGuessingPhase ? gameState.guessingTime : gameState.listeningTime
   updateTimeProgressBar(time, totalTime)
 
   if (isGuessingPhase) {
@@ -367,7 +1442,9 @@ async function loadData() {
       throw new Error(`HTTP error! status: ${response.status}`)
     }
     const data = await response.json()
-    return data
+    reportValidationProblems('pollutions.json', validatePollutions(data))
+    // Catalogue entries are read-only, rounds work on session sounds (see createSessionSound)
+    return data.map((entry) => Object.freeze(entry))
   } catch (error) {
     console.error('Error loading pollution data:', error)
     return [] // Return empty array on error
@@ -382,6 +1459,7 @@ async function loadRecipients() {
   try {
     const response = await fetch('components/recipients.json')
     const recipients = await response.json()
+    reportValidationProblems('recipients.json', validateRecipients(recipients))
     return recipients
   } catch (error) {
     console.error('Error loading recipients:', error)
@@ -390,136 +1468,205 @@ async function loadRecipients() {
 }
 
 /**
- * Preloads all sound files
- * @returns {Promise<void>}
- *
- * Note on tinnitus sound handling:
- * Tinnitus sounds are added to selectedSounds through risk functions (right_channel_sine)
- * but are not part of the main pollutions array. Therefore, we need to:
- * 1. First preload regular pollution sounds from gameState.pollutions
- * 2. Then preload any tinnitus sounds from gameState.selectedSounds
- *
- * This ensures that when playRandomSounds() is called, all sounds (including tinnitus)
- * are properly preloaded and available in gameState.preloadedSounds.
- *
- * The preloading must happen AFTER applyRiskFunctions() in startGame() to ensure
- * tinnitus sounds are added to selectedSounds before preloading begins.
+ * Loads the health-impact records: groups affected by noise and their risks
+ * Recipient groups point at records with "affected", records name the pollution "affects" entries they cover.
+ * @returns {Promise<Array>} Array of { group, risk, affects } records
  */
-async function preloadSounds() {
-  gameState.isLoading = true
-  gameState.preloadedSounds.clear()
-
+async function loadAffected() {
   try {
-    // First preload regular pollution sounds
-    for (const pollution of gameState.pollutions) {
-      try {
-        // Get a random sound file from the array
-        const soundFile = pollution.sound_file[Math.floor(Math.random() * pollution.sound_file.length)]
-
-        // Check if sound is already in cache
-        if (soundCache.has(soundFile)) {
-          gameState.preloadedSounds.set(pollution.pollution, soundCache.get(soundFile))
-          continue
-        }
-
-        const audio = new Audio(soundFile)
+    const response = await fetch('data/affected.json')
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`)
+    }
+    return await response.json()
+  } catch (error) {
+    console.error('Error loading health-impact data:', error)
+    return []
+  }
+}
 
-        // For mock audio in tests, handle differently
-        if (typeof MockAudio !== 'undefined' && audio instanceof MockAudio) {
-          // For mock audio, we need to check if it's a success or failure case
-          if (audio.listeners && audio.listeners.error) {
-            // This is a failure case - trigger error and don't add to preloadedSounds
-            audio.listeners.error.forEach((cb) => cb())
-            continue
-          }
-          // Only add to preloadedSounds if there's no error listener
-          if (!audio.listeners || !audio.listeners.error) {
-            gameState.preloadedSounds.set(pollution.pollution, audio)
-            soundCache.set(soundFile, audio)
-            if (audio.listeners && audio.listeners.canplaythrough) {
-              audio.listeners.canplaythrough.forEach((cb) => cb())
-            }
-          }
-          continue
-        }
+// Sound loader: files are fetched and decoded in parallel, failed attempts are retried
+const LOADER_DEFAULTS = {
+  retries: 2, // Extra attempts after the first failure
+  retryDelay: 250 // ms, multiplied by the attempt number
+}
 
-        // For real audio, set up event listeners and add to preloadedSounds
-        gameState.preloadedSounds.set(pollution.pollution, audio)
-        soundCache.set(soundFile, audio)
-        audio.addEventListener('canplaythrough', () => {
-          console.log(`Sound loaded: ${soundFile}`)
-        })
-        audio.addEventListener('error', (e) => {
-          console.error(`Error loading sound file ${soundFile}:`, e)
-          gameState.preloadedSounds.delete(pollution.pollution)
-          soundCache.delete(soundFile)
-        })
+/**
+ * Fetches and decodes one sound file, retrying failed attempts
+ * @param {string} soundFile - Path of the sound file
+ * @param {Object} [options] - Overrides for LOADER_DEFAULTS
+ * @returns {Promise<AudioBuffer>} Decoded sound
+ */
+async function fetchAudioBuffer(soundFile, options = LOADER_DEFAULTS) {
+  const { retries, retryDelay } = { ...LOADER_DEFAULTS, ...options }
+  let lastError
 
-        await audio.load()
-      } catch (error) {
-        console.error(`Error preloading sound ${pollution.sound_file}:`, error)
-        gameState.preloadedSounds.delete(pollution.pollution)
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      await new Promise((resolve) => setTimeout(resolve, retryDelay * attempt))
+    }
+    try {
+      const response = await fetch(soundFile)
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
       }
+      const data = await response.arrayBuffer()
+      return await getAudioEngine().context.decodeAudioData(data)
+    } catch (error) {
+      lastError = error
+      console.warn(`Attempt ${attempt + 1} of ${retries + 1} to load ${soundFile} failed:`, error)
     }
+  }
 
-    // Then preload any tinnitus sounds from selectedSounds
-    const tinnitusSounds = gameState.selectedSounds.filter((sound) => sound.isTinnitus)
-    for (const tinnitusSound of tinnitusSounds) {
-      try {
-        // Get sound file - handle both array and string cases
-        const soundFile = Array.isArray(tinnitusSound.sound_file)
-          ? tinnitusSound.sound_file[Math.floor(Math.random() * tinnitusSound.sound_file.length)]
-          : tinnitusSound.sound_file
-
-        // Check if sound is already in cache
-        if (soundCache.has(soundFile)) {
-          gameState.preloadedSounds.set(tinnitusSound.pollution, soundCache.get(soundFile))
-          continue
-        }
+  throw lastError
+}
+
+/**
+ * Returns the decoded sound file, loading it only once for all callers
+ * @param {string} soundFile - Path of the sound file
+ * @returns {Promise<AudioBuffer>} Decoded sound
+ */
+function loadAudioBuffer(soundFile) {
+  if (!soundCache.has(soundFile)) {
+    const request = fetchAudioBuffer(soundFile)
+      .then((buffer) => {
+        // Measured once here, so playback never waits for the analysis
+        getBufferLoudness(buffer)
+        return buffer
+      })
+      .catch((error) => {
+        // Failed files are forgotten, so the next game tries again
+        soundCache.delete(soundFile)
+        throw error
+      })
+    soundCache.set(soundFile, request)
+  }
+  return soundCache.get(soundFile)
+}
 
-        const audio = new Audio(soundFile)
+/**
+ * Picks the file to play for a sound, one of its variants at random
+ * @param {Object} sound - Sound data object with a sound_file string or array
+ * @returns {string} Path of the sound file
+ */
+function pickSoundFile(sound) {
+  return Array.isArray(sound.sound_file)
+    ? sound.sound_file[Math.floor(gameRandom() * sound.sound_file.length)]
+    : sound.sound_file
+}
 
-        // For mock audio in tests, handle differently
-        if (typeof MockAudio !== 'undefined' && audio instanceof MockAudio) {
-          // For mock audio, we need to check if it's a success or failure case
-          if (audio.listeners && audio.listeners.error) {
-            // This is a failure case - trigger error and don't add to preloadedSounds
-            audio.listeners.error.forEach((cb) => cb())
-            continue
-          }
-          // Only add to preloadedSounds if there's no error listener
-          if (!audio.listeners || !audio.listeners.error) {
-            gameState.preloadedSounds.set(tinnitusSound.pollution, audio)
-            soundCache.set(soundFile, audio)
-            if (audio.listeners && audio.listeners.canplaythrough) {
-              audio.listeners.canplaythrough.forEach((cb) => cb())
-            }
-          }
-          continue
-        }
+/**
+ * Shows the loading progress on the loading screen
+ * @param {number} loaded - Number of finished files (loaded or failed)
+ * @param {number} total - Number of files to load
+ */
+function updateLoadingProgress(loaded, total) {
+  const progress = document.getElementById('loadingProgress')
+  if (!progress) return
+
+  const percent = total > 0 ? Math.round((loaded / total) * 100) : 100
+  progress.textContent = `Ładowanie dźwięków... ${percent}%`
+}
+
+/**
+ * Picks a sound to stand in for one whose file failed to load
+ * @param {Object} sound - Sound that failed
+ * @param {Set<string>} excluded - Pollutions already in the round or failed before
+ * @returns {Object|null} Catalogue entry of the same kind (anthropogenic or natural), or null if none is left
+ */
+function pickReplacementSound(sound, excluded) {
+  const candidates = gameState.pollutions.filter(
+    (candidate) => candidate.is_antropo === sound.is_antropo && !excluded.has(candidate.pollution)
+  )
+  return selectRandomSounds(1, candidates)[0] || null
+}
+
+/**
+ * Forgets the decoded files the current selection doesn't play, so only its buffers stay in memory.
+ * Results previews keep their own reference to the buffers they replay (see collectRoundDetails).
+ */
+function evictUnusedSounds() {
+  const inUse = new Set(gameState.soundFiles.values())
+  for (const soundFile of soundCache.keys()) {
+    if (!inUse.has(soundFile)) soundCache.delete(soundFile)
+  }
+}
+
+/**
+ * Fetches and decodes the files of the selected sounds into gameState.preloadedSounds
+ * @returns {Promise<void>} Resolves once every file is loaded or has failed all retries
+ *
+ * Only gameState.selectedSounds is decoded, so this runs AFTER applyRiskFunctions(), which picks the sounds and
+ * adds the overlays (flagged isOverlay: generated by a risk function and never guessable, e.g. the
+ * distorted_song_pattern birdsong). A sound whose file fails is replaced by another of the same kind and the
+ * risk functions are applied again, so the stand-in gets the recipients' effects too.
+ * The right_channel_sine tinnitus is synthesized (see backgroundLayerFactories) and needs no file.
+ */
+async function preloadSounds() {
+  gameState.isLoading = true
+  gameState.preloadedSounds.clear()
+  gameState.soundFiles.clear()
+
+  const failed = new Set()
+  let pending = gameState.selectedSounds
+  let replaced = false
+  let finished = 0
+  let total = 0
 
-        // For real audio, set up event listeners and add to preloadedSounds
-        gameState.preloadedSounds.set(tinnitusSound.pollution, audio)
-        soundCache.set(soundFile, audio)
-        audio.addEventListener('canplaythrough', () => {
-          console.log(`Sound loaded: ${soundFile}`)
+  updateLoadingProgress(0, pending.length)
+  toggleUIElements({ loadingScreen: 'flex' })
+
+  try {
+    while (pending.length > 0) {
+      total += pending.length
+      await Promise.all(
+        pending.map(async (sound) => {
+          const soundFile = pickSoundFile(sound)
+          try {
+            gameState.preloadedSounds.set(sound.pollution, await loadAudioBuffer(soundFile))
+            gameState.soundFiles.set(sound.pollution, soundFile)
+          } catch (error) {
+            console.error(`Error loading sound file ${soundFile}:`, error)
+            failed.add(sound.pollution)
+          } finally {
+            finished++
+            updateLoadingProgress(finished, total)
+          }
         })
-        audio.addEventListener('error', (e) => {
-          console.error(`Error loading sound file ${soundFile}:`, e)
-          gameState.preloadedSounds.delete(tinnitusSound.pollution)
-          soundCache.delete(soundFile)
+      )
+
+      // A sound that can't be played can't be guessed either
+      const missing = pending.filter((sound) => failed.has(sound.pollution))
+      if (missing.length === 0) break
+      console.error(
+        'Sounds removed from the round after failed loading:',
+        missing.map((sound) => sound.pollution)
+      )
+      gameState.selectedSounds = gameState.selectedSounds.filter((sound) => !missing.includes(sound))
+
+      // Stand-ins keep the round's size; overlays have none
+      const excluded = new Set([...gameState.selectedSounds.map((sound) => sound.pollution), ...failed])
+      pending = missing
+        .filter((sound) => !sound.isOverlay)
+        .map((sound) => {
+          const replacement = pickReplacementSound(sound, excluded)
+          if (replacement) excluded.add(replacement.pollution)
+          return replacement
         })
+        .filter(Boolean)
+      gameState.selectedSounds.push(...pending)
+      replaced = replaced || pending.length > 0
+    }
 
-        await audio.load()
-      } catch (error) {
-        console.error(`Error preloading tinnitus sound ${tinnitusSound.sound_file}:`, error)
-        gameState.preloadedSounds.delete(tinnitusSound.pollution)
-      }
+    if (replaced) {
+      applyRiskFunctions({ changeRules: false })
+      // The risk functions rebuild their overlays, failed ones stay out
+      gameState.selectedSounds = gameState.selectedSounds.filter((sound) => !failed.has(sound.pollution))
     }
-  } catch (error) {
-    console.error('Error in preloadSounds:', error)
+    evictUnusedSounds()
   } finally {
     gameState.isLoading = false
+    toggleUIElements({ loadingScreen: 'none' })
   }
 }
 
@@ -528,14 +1675,17 @@ async function preloadSounds() {
  */
 async function init() {
   gameState.pollutions = await loadData()
+  gameState.catalogue = gameState.pollutions
   gameState.recipients = await loadRecipients()
-
-  // Preload sounds after loading data
-  await preloadSounds()
+  gameState.affected = await loadAffected()
+  applyUrlConfig(parseUrlConfig(window.location.search))
+  const calibration = loadSafetyCalibration()
+  if (calibration) setMasterVolume(calibration.volume)
 
   if (document.getElementById('startGame')) {
     setupEventListeners()
     createRecipientSelection()
+    readChallengeFromHash()
     // Ensure sound grid is hidden at initialization
     const soundGrid = document.querySelector('.sound-grid')
     if (soundGrid) {
@@ -548,30 +1698,26 @@ async function init() {
  * Plays a random set of sounds at game start and loops them
  */
 function playRandomSounds() {
-  // Store any tinnitus sounds that might be in selectedSounds
-  const tinnitusSounds = gameState.selectedSounds.filter((sound) => sound.isTinnitus)
+  // Store any overlay sounds that might be in selectedSounds
+  const overlaySounds = gameState.selectedSounds.filter((sound) => sound.isOverlay)
 
   // If we don't have any regular sounds selected, select new random sounds
-  if (gameState.selectedSounds.length === tinnitusSounds.length) {
-    // Select new random sounds
-    const numSounds = Math.floor(Math.random() * 5) + 1
-    const availableSounds = [...gameState.pollutions]
-    gameState.selectedSounds = [...tinnitusSounds] // Keep tinnitus sounds
-
-    // Add random pollution sounds
-    for (let i = 0; i < numSounds; i++) {
-      if (availableSounds.length === 0) break
-      const randomIndex = Math.floor(Math.random() * availableSounds.length)
-      const sound = availableSounds.splice(randomIndex, 1)[0]
-      gameState.selectedSounds.push(sound)
-    }
+  if (gameState.selectedSounds.length === overlaySounds.length) {
+    // Select new random sounds, keeping overlay sounds
+    const numSounds = getRoundSettings(gameState.round).soundCount
+    const availableSounds = gameState.pollutions.filter((sound) => gameState.preloadedSounds.has(sound.pollution))
+    const newSounds = selectRandomSounds(numSounds, availableSounds).map((sound) => createSessionSound(sound))
+    gameState.selectedSounds = [...overlaySounds, ...newSounds]
+    // The new sounds get the recipients' effects like the ones they replace
+    if (newSounds.length > 0) applyRiskFunctions({ changeRules: false })
   }
 
   // Stop all currently playing sounds
   stopAllSounds()
 
-  // Play all selected sounds
+  // Play all selected sounds together with the synthesized layers
   gameState.selectedSounds.forEach((sound) => manageSoundElement(sound, true))
+  startBackgroundLayers()
   console.log(
     'Now playing sounds:',
     gameState.selectedSounds.map((s) => s.pollution)
@@ -582,12 +1728,11 @@ function playRandomSounds() {
  * Stops all currently playing sounds
  */
 function stopAllSounds() {
-  gameState.soundElements.forEach((sound) => {
-    sound.element.pause()
-    sound.element.currentTime = 0
-  })
+  gameState.activeVoices.forEach((voice) => stopSoundVoice(voice))
+  stopBackgroundLayers()
   gameState.activeSounds = []
-  gameState.soundElements = []
+  gameState.activeVoices = []
+  stopOutputMeter()
 }
 
 /**
@@ -597,11 +1742,19 @@ function stopAllSounds() {
 function makeGuess(selectedSound) {
   if (gameState.activeSounds.length === 0) return
 
-  // Skip points calculation for tinnitus sounds
-  if (selectedSound.isTinnitus) return
+  // Skip points calculation for overlay sounds and anything that isn't a sound
+  if (!selectedSound?.pollution || selectedSound.isOverlay) return
 
   const isCorrect = gameState.activeSounds.some((sound) => sound.pollution === selectedSound.pollution)
 
+  // Wrong guesses only tell which sounds get confused when we know what was playing
+  gameState.guessLog.push({
+    round: gameState.round,
+    sound: selectedSound.pollution,
+    correct: isCorrect,
+    activeSounds: gameState.activeSounds.filter((sound) => !sound.isOverlay).map((sound) => sound.pollution)
+  })
+
   // Find the clicked button and update its classes
   const soundButtons = document.querySelectorAll('.sound-button')
   soundButtons.forEach((button) => {
@@ -613,25 +1766,15 @@ function makeGuess(selectedSound) {
     }
   })
 
-  if (isCorrect) {
-    // Check if this sound has already been correctly guessed
-    if (!gameState.guessedSounds.has(selectedSound.pollution)) {
-      // Calculate points based on sound amplitude
-      let amplitude
-      if (selectedSound.amplitude.includes('up to')) {
-        amplitude = parseInt(selectedSound.amplitude.match(/\d+/)[0])
-      } else {
-        amplitude = parseInt(selectedSound.amplitude.split('-')[0])
-      }
-      const points = Math.max(100 - amplitude, 10) // More points for quieter sounds
-
-      gameState.score = (gameState.score || 0) + points
-      // Add to guessed sounds set
-      gameState.guessedSounds.add(selectedSound.pollution)
-    }
-  } else {
-    // Allow negative scores for wrong guesses
-    gameState.score = (gameState.score || 0) - 20
+  // A sound is only scored once, repeated correct guesses are free; wrong guesses always cost points
+  if (!isCorrect || !gameState.guessedSounds.has(selectedSound.pollution)) {
+    applyScoreItems(
+      scoreGuess(selectedSound, isCorrect, {
+        multiplier: gameState.pointsMultiplier,
+        recipients: gameState.selectedRecipients
+      })
+    )
+    if (isCorrect) gameState.guessedSounds.add(selectedSound.pollution)
   }
 
   updateScoreDisplay()
@@ -659,7 +1802,10 @@ function adjustTime(adjustment) {
     console.error('Invalid time adjustment value:', adjustment)
     return
   }
+  // A locked classroom link fixes the listening time
+  if (gameState.config.locked) return
 
+  const previousTime = gameState.timeRemaining
   const newTime = gameState.timeRemaining + adjustment
 
   // Don't allow time below 10 seconds or above 60 seconds
@@ -671,23 +1817,16 @@ function adjustTime(adjustment) {
     gameState.timeRemaining = newTime
   }
 
-  // Update points multiplier based on time adjustment
+  // Update points multiplier based on time adjustment, it scales every correct guess of the round
   if (adjustment < 0) {
     gameState.pointsMultiplier = 1.5 // Increase multiplier when decreasing time
   } else if (adjustment > 0) {
     gameState.pointsMultiplier = 0.75 // Decrease multiplier when increasing time
   }
 
-  // Calculate points adjustment based on time change
-  const pointsAdjustment = adjustment < 0 ? 50 : -25 // +50 points for -10s, -25 points for +10s
-
-  // Update score
-  const oldScore = gameState.score
-  gameState.score = Math.max(0, gameState.score + pointsAdjustment) // Ensure score doesn't go below 0
+  gameState.listeningTime += gameState.timeRemaining - previousTime
 
-  console.log(
-    `Time adjusted by ${adjustment}s. Score updated: ${oldScore} -> ${gameState.score} (points adjustment: ${pointsAdjustment})`
-  )
+  console.log(`Time adjusted by ${adjustment}s. Points multiplier: ${gameState.pointsMultiplier}`)
 
   updateTimer(gameState.timeRemaining)
 
@@ -732,7 +1871,7 @@ function formatRecipientLabels(recipients) {
  */
 function startGuessingPhase() {
   gameState.isGuessingPhase = true
-  gameState.guessingTimeRemaining = 10
+  gameState.guessingTimeRemaining = gameState.guessingTime
 
   // Create sound grid if it doesn't exist
   const soundGrid = document.querySelector('.sound-grid')
@@ -776,7 +1915,11 @@ function startGuessingPhase() {
     gamePlay: 'block' // Ensure game play area is visible
   })
 
-  gameState.soundElements.forEach((sound) => sound.element.pause())
+  // Silence the round; activeSounds stays as the answer key for the guesses
+  gameState.activeVoices.forEach((voice) => stopSoundVoice(voice))
+  gameState.activeVoices = []
+  stopBackgroundLayers()
+  stopOutputMeter()
   updateTimer(gameState.guessingTimeRemaining, true)
 
   gameState.guessingInterval = setInterval(() => {
@@ -808,6 +1951,22 @@ function endGuessingPhase() {
   // Hide time progress bar
   toggleTimeProgressBar(false)
 
+  const result = recordRoundResult()
+  if (gameState.round < gameState.totalRounds) {
+    toggleUIElements({
+      'sound-grid': 'none',
+      applyGuess: 'none',
+      timeAdjustment: 'none'
+    })
+    showRoundSummary(result)
+    return
+  }
+
+  renderRoundProgression()
+  renderCampaignResults()
+  renderScoreBreakdown()
+  renderHealthRisks()
+
   toggleUIElements({
     'sound-grid': 'none',
     applyGuess: 'none',
@@ -870,25 +2029,6 @@ function applyGuess() {
   endGuessingPhase()
 }
 
-/**
- * Calculates points for a guess with multiplier
- * @param {Object} sound - The sound that was guessed
- * @param {boolean} isCorrect - Whether the guess was correct
- * @returns {number} Points earned
- */
-function calculatePoints(sound, isCorrect) {
-  if (!isCorrect) return -20
-
-  let amplitude
-  if (sound.amplitude.includes('up to')) {
-    amplitude = parseInt(sound.amplitude.match(/\d+/)[0])
-  } else {
-    amplitude = parseInt(sound.amplitude.split('-')[0])
-  }
-  const basePoints = Math.max(100 - amplitude, 10)
-  return Math.round(basePoints * gameState.pointsMultiplier)
-}
-
 /**
  * Starts the game timer
  */
@@ -977,6 +2117,28 @@ function setupButtonListeners(button, action, ariaLabel) {
   })
 }
 
+/**
+ * Handles the keyboard shortcuts of the whole page: B flips the A/B comparison, space replays the round's sounds
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleShortcutKey(e) {
+  // Typing in a field (e.g. a challenge code) is never a shortcut
+  if (e.target?.closest?.('input, textarea, [contenteditable]:not([contenteditable="false"])')) return
+
+  if (gameState.comparison && e.key?.toLowerCase() === COMPARISON_DEFAULTS.shortcut) {
+    flipComparison()
+    return
+  }
+  // The comparison's sounds are no round to replay
+  if (e.key === ' ' && !gameState.isGuessingPhase && !gameState.comparison) {
+    e.preventDefault()
+    // Only play sounds if we have selected sounds
+    if (gameState.selectedSounds.length > 0) {
+      playRandomSounds()
+    }
+  }
+}
+
 /**
  * Sets up all game event listeners
  */
@@ -986,25 +2148,38 @@ function setupEventListeners() {
   const increaseTimeBtn = document.getElementById('increaseTime')
   const applyGuessBtn = document.getElementById('applyGuess')
   const playAgainBtn = document.getElementById('playAgain')
+  const nextRoundBtn = document.getElementById('nextRound')
+  const masterVolumeInput = document.getElementById('masterVolume')
+  const compareMixBtn = document.getElementById('compareMix')
+  const comparisonMixInput = document.getElementById('comparisonMix')
+  const referenceToneBtn = document.getElementById('playReferenceTone')
+  const saveCalibrationBtn = document.getElementById('saveCalibration')
+  const recalibrateBtn = document.getElementById('recalibrate')
+  const calibrationVolumeInput = document.getElementById('calibrationVolume')
+  const adaptiveModeInput = document.getElementById('adaptiveMode')
+  const applyChallengeBtn = document.getElementById('applyChallenge')
+  const challengeInput = document.getElementById('challengeInput')
   const soundGrid = document.querySelector('.sound-grid')
 
   // Add keyboard navigation support
-  document.addEventListener('keydown', (e) => {
-    if (e.key === ' ' && !gameState.isGuessingPhase) {
-      e.preventDefault()
-      // Only play sounds if we have selected sounds
-      if (gameState.selectedSounds.length > 0) {
-        playRandomSounds()
-      }
-    }
-  })
+  document.addEventListener('keydown', handleShortcutKey)
 
   // Set up button listeners
-  setupButtonListeners(startGameBtn, startGame, 'Start the game')
+  setupButtonListeners(startGameBtn, requestStartGame, 'Start the game')
   setupButtonListeners(playAgainBtn, resetGame, 'Play again')
+  setupButtonListeners(nextRoundBtn, nextRound, 'Start the next round')
   setupButtonListeners(decreaseTimeBtn, () => adjustTime(-10), 'Decrease time by 10 seconds for more points')
   setupButtonListeners(increaseTimeBtn, () => adjustTime(10), 'Increase time by 10 seconds for fewer points')
   setupButtonListeners(applyGuessBtn, applyGuess, 'Apply your guess')
+  setupButtonListeners(compareMixBtn, toggleComparison, 'Compare a typical listener with the selected recipients')
+  setupButtonListeners(referenceToneBtn, toggleReferenceTone, 'Play the reference tone')
+  setupButtonListeners(saveCalibrationBtn, finishSafetyCalibration, 'Save the volume and continue')
+  setupButtonListeners(recalibrateBtn, () => showSafetyCalibration(), 'Set a safe volume')
+  setupButtonListeners(
+    applyChallengeBtn,
+    () => challengeInput && applyChallengeCode(challengeInput.value),
+    'Play the round of a challenge code'
+  )
 
   // Add keyboard navigation for the start button
   if (startGameBtn) {
@@ -1038,33 +2213,410 @@ function setupEventListeners() {
         }
       }
     })
-  }
+  }
+
+  if (masterVolumeInput) {
+    masterVolumeInput.value = Math.round(gameState.masterVolume * 100)
+    masterVolumeInput.addEventListener('input', () => setMasterVolume(masterVolumeInput.value / 100))
+  }
+
+  if (calibrationVolumeInput) {
+    calibrationVolumeInput.addEventListener('input', () => setMasterVolume(calibrationVolumeInput.value / 100))
+  }
+
+  if (adaptiveModeInput) {
+    adaptiveModeInput.checked = gameState.adaptiveSelection
+    adaptiveModeInput.addEventListener('change', () => {
+      gameState.adaptiveSelection = adaptiveModeInput.checked
+    })
+  }
+
+  if (comparisonMixInput) {
+    comparisonMixInput.value = Math.round(gameState.comparisonMix * 100)
+    comparisonMixInput.addEventListener('input', () => setComparisonMix(comparisonMixInput.value / 100))
+  }
+
+  if (soundGrid) {
+    soundGrid.setAttribute('role', 'grid')
+    soundGrid.setAttribute('aria-label', 'Sound selection grid')
+    soundGrid.setAttribute('tabindex', '0')
+  }
+}
+
+/**
+ * Starts playing random sounds at the beginning of the game
+ */
+function startSoundChanges() {
+  // Play initial set of random sounds
+  playRandomSounds()
+}
+
+/**
+ * Returns the difficulty of a campaign round
+ * @param {number} round - Round number (1-based)
+ * @returns {Object} { soundCount, listeningTime, guessingTime } for the round
+ */
+function getRoundSettings(round) {
+  const step = Math.max(0, round - 1)
+  return {
+    soundCount: Math.min(
+      CAMPAIGN_DEFAULTS.maxSounds,
+      CAMPAIGN_DEFAULTS.firstRoundSounds + step * CAMPAIGN_DEFAULTS.soundsPerRound
+    ),
+    listeningTime: Math.max(
+      CAMPAIGN_DEFAULTS.minTime,
+      gameState.config.listeningTime - step * CAMPAIGN_DEFAULTS.timeStepPerRound
+    ),
+    guessingTime: gameState.config.guessingTime
+  }
+}
+
+/**
+ * Returns the next number of the game's random generator. Every random decision of a game goes through here,
+ * so the same seed and recipients always give the same rounds.
+ * @returns {number} Random number between 0 and 1
+ */
+function gameRandom() {
+  return gameState.random()
+}
+
+/**
+ * Seeds the game's random generator
+ * @param {number} seed - 32-bit integer seed
+ */
+function setGameSeed(seed) {
+  gameState.seed = seed >>> 0
+  gameState.random = createSeededRandom(gameState.seed)
+}
+
+/**
+ * Creates a fresh seed for a game that doesn't replay a challenge
+ * @returns {number} 32-bit integer seed
+ */
+function createGameSeed() {
+  return Math.floor(Math.random() * 2 ** 32)
+}
+
+/**
+ * Returns the settings of the current game a challenge code has to carry
+ * @returns {Object} { listeningTime, guessingTime, rounds, pool }
+ */
+function getChallengeSettings() {
+  return {
+    listeningTime: gameState.config.listeningTime,
+    guessingTime: gameState.config.guessingTime,
+    rounds: gameState.totalRounds,
+    pool: gameState.pollutions
+  }
+}
+
+/**
+ * Encodes a seed, recipient selection and game settings as a challenge code
+ * Recipients and the sound pool are bit masks of their positions in the JSON files, so codes stay short.
+ * Settings are only added when they differ from the defaults.
+ * @param {number} seed - 32-bit integer seed
+ * @param {Array} selectedRecipients - Selected recipient groups
+ * @param {Array} [recipients=gameState.recipients] - All recipient groups
+ * @param {Object} [settings=getChallengeSettings()] - { listeningTime, guessingTime, rounds, pool } of the game
+ * @param {Array} [catalogue=gameState.catalogue] - All sounds
+ * @returns {string} Code such as "1Z141Z3-5", or "1Z141Z3-5-14-8-2-A1" with settings
+ */
+function encodeChallengeCode(
+  seed,
+  selectedRecipients,
+  recipients = gameState.recipients,
+  settings = getChallengeSettings(),
+  catalogue = gameState.catalogue
+) {
+  const toMask = (items, selected, key) =>
+    items.reduce((bits, item, index) => (selected.some((s) => s[key] === item[key]) ? bits + 2 ** index : bits), 0)
+  const parts = [seed >>> 0, toMask(recipients, selectedRecipients, 'group')]
+
+  const fullPool = catalogue.every((sound) => settings.pool.some((s) => s.pollution === sound.pollution))
+  const isDefault =
+    settings.listeningTime === CAMPAIGN_DEFAULTS.firstRoundTime &&
+    settings.guessingTime === CAMPAIGN_DEFAULTS.guessingTime &&
+    settings.rounds === CAMPAIGN_DEFAULTS.rounds &&
+    fullPool
+  if (!isDefault) {
+    const poolMask = toMask(catalogue, settings.pool, 'pollution')
+    parts.push(settings.listeningTime, settings.guessingTime, settings.rounds, poolMask)
+  }
+  return parts
+    .map((part) => part.toString(36))
+    .join(CHALLENGE_DEFAULTS.separator)
+    .toUpperCase()
+}
+
+/**
+ * Decodes a challenge code
+ * @param {string} code - Code from encodeChallengeCode
+ * @param {Array} [recipients=gameState.recipients] - All recipient groups
+ * @param {Array} [catalogue=gameState.catalogue] - All sounds
+ * @returns {Object|null} { seed, recipients, settings } or null when the code is invalid; codes without settings
+ *   get the defaults and the whole catalogue
+ */
+function decodeChallengeCode(code, recipients = gameState.recipients, catalogue = gameState.catalogue) {
+  const separator = CHALLENGE_DEFAULTS.separator
+  const match = String(code)
+    .trim()
+    .toLowerCase()
+    .match(new RegExp(`^([0-9a-z]{1,7})${separator}([0-9a-z]+)((?:${separator}[0-9a-z]+){4})?$`))
+  if (!match) return null
+
+  const seed = parseInt(match[1], 36)
+  const mask = parseInt(match[2], 36)
+  if (seed >= 2 ** 32 || mask >= 2 ** recipients.length) return null
+  const fromMask = (items, bits) => items.filter((_, index) => Math.floor(bits / 2 ** index) % 2 === 1)
+
+  let settings = {
+    listeningTime: CAMPAIGN_DEFAULTS.firstRoundTime,
+    guessingTime: CAMPAIGN_DEFAULTS.guessingTime,
+    rounds: CAMPAIGN_DEFAULTS.rounds,
+    pool: catalogue
+  }
+  if (match[3]) {
+    const [listeningTime, guessingTime, rounds, poolMask] = match[3]
+      .slice(1)
+      .split(separator)
+      .map((part) => parseInt(part, 36))
+    settings = { listeningTime, guessingTime, rounds, pool: fromMask(catalogue, poolMask) }
+    // Only settings a classroom link could have made
+    const inRange = Object.values(URL_CONFIG_PARAMS).every(
+      ({ key, min, max }) => settings[key] >= min && settings[key] <= max
+    )
+    if (!inRange || poolMask === 0 || poolMask >= 2 ** catalogue.length) return null
+  }
+
+  return { seed, recipients: fromMask(recipients, mask), settings }
+}
+
+/**
+ * Selects the recipients and settings of a challenge code and makes the next game replay its seed
+ * Adaptive selection depends on the player's own stats, so a challenge turns it off.
+ * @param {string} code - Challenge code
+ * @returns {boolean} Whether the code was valid
+ */
+function applyChallengeCode(code) {
+  const challenge = decodeChallengeCode(code)
+  const status = document.getElementById('challengeStatus')
+  if (gameState.config.locked) {
+    if (status) status.textContent = 'Ustawienia gry są zablokowane przez link'
+    return false
+  }
+  if (!challenge) {
+    if (status) status.textContent = 'Nieprawidłowy kod wyzwania'
+    return false
+  }
+
+  stopComparison()
+  setSelectedRecipients(challenge.recipients)
+  gameState.challengeSeed = challenge.seed
+  // The same seed only gives the same rounds with the same pool, round count and times
+  const { settings } = challenge
+  gameState.pollutions = settings.pool
+  gameState.totalRounds = settings.rounds
+  gameState.config = { ...gameState.config, listeningTime: settings.listeningTime, guessingTime: settings.guessingTime }
+  gameState.adaptiveSelection = false
+
+  const adaptiveModeInput = document.getElementById('adaptiveMode')
+  if (adaptiveModeInput) adaptiveModeInput.checked = false
+  const input = document.getElementById('challengeInput')
+  if (input) input.value = code.trim().toUpperCase()
+  if (status) status.textContent = 'Wyzwanie gotowe, rozpocznij grę'
+  return true
+}
+
+/**
+ * Applies a challenge code from the URL hash (#challenge=<code>), if there is one
+ * @returns {boolean} Whether a valid code was found
+ */
+function readChallengeFromHash() {
+  const params = new URLSearchParams(window.location.hash.slice(1))
+  const code = params.get(CHALLENGE_DEFAULTS.hashKey)
+  return code ? applyChallengeCode(code) : false
+}
+
+/**
+ * Shows the challenge code of the current game and puts it in the URL hash
+ * Adaptive games can't be replayed by another player, so they get no code.
+ */
+function showChallengeCode() {
+  const code = gameState.adaptiveSelection ? null : encodeChallengeCode(gameState.seed, gameState.selectedRecipients)
+
+  document.querySelectorAll('.challenge-code').forEach((element) => {
+    element.textContent = code || 'brak (tryb adaptacyjny)'
+  })
+  window.history.replaceState(
+    null,
+    '',
+    code ? `#${CHALLENGE_DEFAULTS.hashKey}=${code}` : window.location.pathname + window.location.search
+  )
+}
+
+/**
+ * Returns the game settings when no classroom link changes them
+ * @returns {Object} { listeningTime, guessingTime, recipients, locked }
+ */
+function createDefaultConfig() {
+  return {
+    listeningTime: CAMPAIGN_DEFAULTS.firstRoundTime,
+    guessingTime: CAMPAIGN_DEFAULTS.guessingTime,
+    recipients: [], // Recipients preset by the link, selected again after "Zagraj Ponownie" when locked
+    locked: false
+  }
+}
+
+/**
+ * Parses and validates the URL parameters of a classroom link
+ * Unknown recipients or sounds and invalid numbers are reported and skipped, numbers out of range are clamped.
+ * @param {string} search - Query string, e.g. "?recipients=seniorzy&listen=40"
+ * @param {Array} [recipients=gameState.recipients] - All recipient groups
+ * @param {Array} [pollutions=gameState.pollutions] - All sounds
+ * @returns {Object} Config with only the valid settings: { recipients, listeningTime, guessingTime, rounds, pool, locked }
+ */
+function parseUrlConfig(search, recipients = gameState.recipients, pollutions = gameState.pollutions) {
+  const params = new URLSearchParams(search)
+  const config = {}
+
+  const readList = (name, items, key) => {
+    if (!params.has(name)) return undefined
+    const names = params
+      .get(name)
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean)
+    const found = []
+    names.forEach((value) => {
+      const item = items.find((candidate) => candidate[key].toLowerCase() === value.toLowerCase())
+      if (!item) {
+        console.error(`Unknown value "${value}" in URL parameter "${name}"`)
+      } else if (!found.includes(item)) {
+        found.push(item)
+      }
+    })
+    return found
+  }
+
+  const selected = readList('recipients', recipients, 'group')
+  if (selected) config.recipients = selected
+
+  const pool = readList('pool', pollutions, 'pollution')
+  if (pool?.length > 0) config.pool = pool
+  else if (pool) console.error('URL parameter "pool" has no known sounds, using all sounds')
+
+  Object.entries(URL_CONFIG_PARAMS).forEach(([name, spec]) => {
+    if (!params.has(name)) return
+    const value = Number(params.get(name))
+    if (params.get(name).trim() === '' || !Number.isFinite(value)) {
+      console.error(`Invalid value "${params.get(name)}" for URL parameter "${name}", expected a number`)
+      return
+    }
+    config[spec.key] = Math.round(Math.min(spec.max, Math.max(spec.min, value)))
+  })
+
+  if (params.has('lock')) config.locked = !['0', 'false', 'nie'].includes(params.get('lock').toLowerCase())
+
+  return config
+}
+
+/**
+ * Applies a classroom link config to the game
+ * @param {Object} config - Config from parseUrlConfig
+ */
+function applyUrlConfig(config) {
+  if (config.pool) gameState.pollutions = config.pool
+  if (config.rounds) gameState.totalRounds = config.rounds
+  if (config.recipients) gameState.selectedRecipients = [...config.recipients]
+
+  gameState.config = {
+    ...gameState.config,
+    ...(config.listeningTime && { listeningTime: config.listeningTime }),
+    ...(config.guessingTime && { guessingTime: config.guessingTime }),
+    ...(config.recipients && { recipients: config.recipients }),
+    locked: Boolean(config.locked)
+  }
+
+  // Locked adaptive selection would make students' rounds differ from what the link describes
+  if (gameState.config.locked) gameState.adaptiveSelection = false
+}
+
+/**
+ * Disables every setting a locked classroom link fixes: recipients, adaptive mode and challenge codes
+ */
+function lockSettings() {
+  document
+    .querySelectorAll(
+      '#recipientCheckboxes input[type="checkbox"], #adaptiveMode, #challengeInput, #applyChallenge'
+    )
+    .forEach((element) => {
+      element.disabled = true
+    })
 
-  if (soundGrid) {
-    soundGrid.setAttribute('role', 'grid')
-    soundGrid.setAttribute('aria-label', 'Sound selection grid')
-    soundGrid.setAttribute('tabindex', '0')
-  }
+  const notice = document.getElementById('settingsLocked')
+  if (notice) notice.style.display = 'block'
 }
 
 /**
- * Starts playing random sounds at the beginning of the game
+ * Shows the current round number during gameplay
  */
-function startSoundChanges() {
-  // Play initial set of random sounds
-  playRandomSounds()
+function updateRoundDisplay() {
+  const roundNumber = document.getElementById('roundNumber')
+  const roundTotal = document.getElementById('roundTotal')
+  if (roundNumber) roundNumber.textContent = gameState.round
+  if (roundTotal) roundTotal.textContent = gameState.totalRounds
 }
 
 /**
- * Starts the game, initializes UI and timers
+ * Starts the game: a new campaign beginning with its first round
  */
 async function startGame() {
   console.log('Starting game with selected recipients:', gameState.selectedRecipients)
 
+  // The comparison mix is only a demo, the game picks its own sounds
+  stopComparison()
+
+  toggleUIElements({
+    gameControls: 'none'
+  })
+
+  gameState.round = 1
+  gameState.roundResults = []
+  gameState.scoreBreakdown = []
+  gameState.guessLog = []
+
+  // Every game is seeded so it can be shared; a challenge code replays its seed once
+  setGameSeed(gameState.challengeSeed ?? createGameSeed())
+  gameState.challengeSeed = null
+  showChallengeCode()
+
+  await startRound()
+}
+
+/**
+ * Starts the current campaign round with its sounds, listening time and timers
+ */
+async function startRound() {
+  const settings = getRoundSettings(gameState.round)
+  stopPreview()
+
+  // Every round picks new sounds; the score carries over
+  gameState.roundStartScore = gameState.score
+  gameState.selectedSounds = []
+  gameState.guessedSounds.clear()
+  gameState.pointsMultiplier = 1.0
+  gameState.timeRemaining = settings.listeningTime
+  gameState.guessingTimeRemaining = settings.guessingTime
+  updateRoundDisplay()
+
   toggleUIElements({
-    gameControls: 'none',
+    roundSummary: 'none',
     gamePlay: 'block',
-    '.sound-grid': 'none'
+    '.sound-grid': 'none',
+    '.guessing-title': 'none',
+    applyGuess: 'none',
+    // A locked classroom link fixes the listening time
+    timeAdjustment: gameState.config.locked ? 'none' : 'flex'
   })
 
   // Ensure time progress bar is visible
@@ -1077,11 +2629,14 @@ async function startGame() {
   if (increaseTimeBtn) increaseTimeBtn.disabled = false
 
   // Apply risk functions from selected recipients first
-  console.log('About to apply risk functions')
+  console.log(`About to apply risk functions for round ${gameState.round}`)
   applyRiskFunctions()
   console.log('Risk functions applied')
+  // Risk functions may shorten the round, time adjustments are added on top
+  gameState.listeningTime = gameState.timeRemaining
+  gameState.guessingTime = gameState.guessingTimeRemaining
 
-  // Preload all sounds including tinnitus sounds
+  // Only the round's sounds are decoded; files it shares with the previous round come from the cache
   console.log('Preloading sounds...')
   await preloadSounds()
   console.log('Sounds preloaded')
@@ -1093,6 +2648,410 @@ async function startGame() {
   startSoundChanges()
 }
 
+/**
+ * Moves on to the next campaign round
+ */
+async function nextRound() {
+  gameState.round++
+  await startRound()
+}
+
+/**
+ * Stores the result of the round that just ended
+ * @returns {Object} Round result
+ */
+function recordRoundResult() {
+  const settings = getRoundSettings(gameState.round)
+  const sounds = gameState.selectedSounds.filter((sound) => !sound.isOverlay)
+  const result = {
+    round: gameState.round,
+    soundCount: sounds.length,
+    listeningTime: settings.listeningTime,
+    sounds: sounds.map((sound) => sound.pollution),
+    correct: sounds.filter((sound) => gameState.guessedSounds.has(sound.pollution)).length,
+    points: gameState.score - gameState.roundStartScore,
+    totalScore: gameState.score,
+    details: collectRoundDetails(gameState.round)
+  }
+  gameState.roundResults.push(result)
+
+  recordRoundStats({
+    date: new Date().toISOString(),
+    round: result.round,
+    score: result.points,
+    totalScore: result.totalScore,
+    recipients: gameState.selectedRecipients.map(({ group, label }) => ({ group, label })),
+    sounds: result.sounds,
+    guesses: gameState.guessLog
+      .filter((guess) => guess.round === result.round)
+      .map(({ sound, correct, activeSounds }) => ({ sound, correct, activeSounds })),
+    listeningTime: gameState.listeningTime
+  })
+
+  return result
+}
+
+/**
+ * Shows the summary between two campaign rounds
+ * @param {Object} result - Result of the round that just ended
+ */
+function showRoundSummary(result) {
+  const next = getRoundSettings(result.round + 1)
+  const texts = {
+    roundSummaryNumber: result.round,
+    roundSummaryTotal: gameState.totalRounds,
+    roundSummarySounds: formatSoundNames(gameState.selectedSounds),
+    roundSummaryCorrect: `${result.correct} z ${result.soundCount}`,
+    roundScore: result.points,
+    roundTotalScore: result.totalScore,
+    nextRoundInfo: `Następna runda: ${next.soundCount} dźwięk(i) naraz, ${next.listeningTime} s słuchania`
+  }
+  Object.entries(texts).forEach(([id, text]) => {
+    const element = document.getElementById(id)
+    if (element) element.textContent = text
+  })
+
+  const resultsList = document.getElementById('roundSummaryResults')
+  if (resultsList) renderSoundResults(result.details, resultsList)
+
+  toggleUIElements({
+    gamePlay: 'none',
+    roundSummary: 'block'
+  })
+}
+
+/**
+ * Lists the result of every round on the final results screen
+ */
+function renderRoundProgression() {
+  const list = document.getElementById('roundProgression')
+  if (!list) return
+
+  list.innerHTML = ''
+  gameState.roundResults.forEach((result) => {
+    list.appendChild(
+      createElement('li', { className: 'round-progression-item' }, [
+        `Runda ${result.round}: ${result.correct} z ${result.soundCount} dźwięków, ${result.listeningTime} s - ` +
+          `${result.points} pkt (razem ${result.totalScore})`
+      ])
+    )
+  })
+}
+
+/**
+ * Lists every point change of the campaign on the final results screen
+ */
+function renderScoreBreakdown() {
+  const list = document.getElementById('scoreBreakdown')
+  if (!list) return
+
+  list.innerHTML = ''
+  gameState.scoreBreakdown.forEach((item) => {
+    list.appendChild(
+      createElement('li', { className: `score-breakdown-item score-breakdown-${item.type}` }, [
+        `Runda ${item.round}: ${formatScoreItem(item)}`
+      ])
+    )
+  })
+}
+
+/**
+ * Collects what happened to every sound of a round: played sounds found or missed, and wrong buttons pressed
+ * @param {number} round - Round number
+ * @returns {Object} { played: [{ sound, found, points, effects, buffer, soundFile }],
+ *   falsePositives: [{ sound, presses, points }], backdrop: { overlays: [{ sound, buffer, effects }], layers } }
+ */
+function collectRoundDetails(round) {
+  const items = gameState.scoreBreakdown.filter((item) => item.round === round)
+  const pointsFor = (pollution, types) =>
+    items
+      .filter((item) => item.sound === pollution && types.includes(item.type))
+      .reduce((sum, item) => sum + item.points, 0)
+
+  const played = gameState.selectedSounds
+    .filter((sound) => !sound.isOverlay)
+    .map((sound) => ({
+      sound,
+      found: gameState.guessedSounds.has(sound.pollution),
+      points: pointsFor(sound.pollution, ['correct', 'bonus']),
+      // Loudness boosts are recomputed every round, keep the chain the sound was actually played through
+      effects: getVoiceEffects(sound),
+      // ...and the recording, a new game may decode another variant of the sound
+      buffer: gameState.preloadedSounds.get(sound.pollution),
+      soundFile: gameState.soundFiles.get(sound.pollution)
+    }))
+
+  // What the recipients heard on top of every sound: overlays (birdsong) and synthesized layers (tinnitus, rumble)
+  const backdrop = {
+    overlays: gameState.selectedSounds
+      .filter((sound) => sound.isOverlay && gameState.preloadedSounds.has(sound.pollution))
+      .map((sound) => ({
+        sound,
+        buffer: gameState.preloadedSounds.get(sound.pollution),
+        effects: getVoiceEffects(sound)
+      })),
+    layers: [...gameState.backgroundLayers]
+  }
+
+  // One entry per wrong button, however many times it was pressed
+  const falsePositives = new Map()
+  items
+    .filter((item) => item.type === 'wrong')
+    .forEach((item) => {
+      const entry = falsePositives.get(item.sound) || {
+        sound: gameState.pollutions.find((sound) => sound.pollution === item.sound) || { pollution: item.sound },
+        presses: 0,
+        points: 0
+      }
+      entry.presses++
+      entry.points += item.points
+      falsePositives.set(item.sound, entry)
+    })
+
+  return { played, falsePositives: [...falsePositives.values()], backdrop }
+}
+
+/**
+ * Creates the results card of one sound with its facts from pollutions.json
+ * @param {Object} sound - Sound data object
+ * @param {string} status - 'found', 'missed' or 'false-positive'
+ * @param {string} statusText - Status shown to the player
+ * @param {number} points - Points the sound contributed
+ * @param {HTMLElement} controls - Replay buttons of the sound
+ * @returns {HTMLElement} List item
+ */
+function createSoundResult(sound, status, statusText, points, controls) {
+  const facts = [
+    ['Głośność', formatAmplitude(sound.amplitude)],
+    ['Częstotliwość', sound.frequency],
+    ['Na kogo wpływa', sound.affects?.join(', ')]
+  ].filter(([, value]) => value)
+
+  return createElement('li', { className: `sound-result sound-result-${status}` }, [
+    createElement('div', { className: 'sound-result-header' }, [
+      createElement('strong', {}, [sound.pollution.replace(/_/g, ' ')]),
+      createElement('span', { className: 'sound-result-status' }, [statusText]),
+      createElement('span', { className: 'sound-result-points' }, [`${points > 0 ? '+' : ''}${points} pkt`])
+    ]),
+    createElement(
+      'dl',
+      { className: 'sound-result-facts' },
+      facts.flatMap(([term, value]) => [createElement('dt', {}, [term]), createElement('dd', {}, [value])])
+    ),
+    controls
+  ])
+}
+
+/**
+ * Creates the replay buttons of a sound on the results screen
+ * @param {Object} sound - Sound data object
+ * @param {Object} [played] - Entry of the sound in the round details (effects and buffer it was played with),
+ *   omitted for sounds that were not played
+ * @param {Object} [backdrop] - Overlays and layers the recipients heard during the round, see collectRoundDetails
+ * @returns {HTMLElement} Button group
+ */
+function createPreviewControls(sound, played, backdrop = { overlays: [], layers: [] }) {
+  const original = sound.catalogueEntry || sound
+  const buffer = played?.buffer || gameState.preloadedSounds.get(original.pollution)
+  const modes = [['Oryginał', { sound: original, buffer, effects: getCalibrationEffects(original, buffer) }]]
+  if (played) {
+    modes.push(['Jako odbiorca', { sound, buffer, effects: played.effects, ...backdrop }])
+  }
+  // Recipients like reduced_time change the rules, not the sound: nothing to compare then
+  const sameAsOriginal =
+    played && played.effects.length <= 1 && backdrop.overlays.length === 0 && backdrop.layers.length === 0
+
+  return createElement(
+    'div',
+    { className: 'sound-result-preview', role: 'group', 'aria-label': `Odsłuchaj: ${original.pollution}` },
+    modes.map(([label, mode], index) => {
+      const button = createElement('button', { type: 'button', className: 'preview-button', 'aria-pressed': 'false' }, [
+        label
+      ])
+      button.disabled = !buffer || (index > 0 && sameAsOriginal)
+      if (index > 0 && sameAsOriginal) button.title = 'Wybrane grupy odbiorców słyszą ten dźwięk tak jak w oryginale'
+      button.addEventListener('click', () => togglePreview(mode, button))
+      return button
+    })
+  )
+}
+
+/**
+ * Plays a sound from the results screen, or stops it when its button is pressed again.
+ * Only one preview plays at a time; it reuses the round's buffer and effect chain, and the recipient
+ * version brings back the overlays and layers heard with it.
+ * @param {Object} mode - { sound, buffer, effects, overlays, layers } to play
+ * @param {HTMLButtonElement} button - Button that started the preview
+ */
+function togglePreview({ sound, buffer, effects, overlays = [], layers = [] }, button) {
+  const wasPlaying = gameState.preview?.button === button
+  stopPreview()
+  if (wasPlaying) return
+
+  if (!buffer) {
+    console.error(`No decoded sound to preview for ${sound.pollution}`)
+    return
+  }
+
+  const engine = getAudioEngine()
+  gameState.preview = {
+    voice: startSoundVoice(sound, buffer, effects),
+    overlays: overlays.map((overlay) => startSoundVoice(overlay.sound, overlay.buffer, overlay.effects)),
+    layers: layers
+      .filter((layer) => backgroundLayerFactories[layer.type])
+      .map((layer) => {
+        const handle = backgroundLayerFactories[layer.type](engine, layer)
+        handle.sources.forEach((source) => source.start())
+        return handle
+      }),
+    button
+  }
+  button.setAttribute('aria-pressed', 'true')
+  button.classList.add('playing')
+}
+
+/**
+ * Stops the sound replayed from the results screen
+ */
+function stopPreview() {
+  if (!gameState.preview) return
+
+  const { voice, overlays, layers, button } = gameState.preview
+  ;[voice, ...overlays].forEach((previewVoice) => stopSoundVoice(previewVoice))
+  layers.forEach((handle) => {
+    handle.sources.forEach((source) => source.stop())
+    handle.nodes.forEach((node) => node.disconnect())
+  })
+  button.setAttribute('aria-pressed', 'false')
+  button.classList.remove('playing')
+  gameState.preview = null
+  stopOutputMeter()
+}
+
+/**
+ * Lists every sound of a round: found, missed and wrongly pressed
+ * @param {Object} details - Round details from collectRoundDetails
+ * @param {HTMLElement} list - List element to fill
+ */
+function renderSoundResults(details, list) {
+  list.innerHTML = ''
+  details.played.forEach((played) => {
+    const { sound, found, points } = played
+    list.appendChild(
+      createSoundResult(
+        sound,
+        found ? 'found' : 'missed',
+        found ? 'Rozpoznany' : 'Nierozpoznany',
+        points,
+        createPreviewControls(sound, played, details.backdrop)
+      )
+    )
+  })
+  // Wrongly pressed sounds weren't played in the round, only the original can be replayed
+  details.falsePositives.forEach(({ sound, presses, points }) => {
+    const statusText = presses > 1 ? `Błędnie wskazany (${presses}×)` : 'Błędnie wskazany'
+    list.appendChild(createSoundResult(sound, 'false-positive', statusText, points, createPreviewControls(sound)))
+  })
+}
+
+/**
+ * Shows the itemized results of every round on the final results screen
+ */
+function renderCampaignResults() {
+  const container = document.getElementById('roundResults')
+  if (!container) return
+
+  container.innerHTML = ''
+  gameState.roundResults.forEach((result) => {
+    const list = createElement('ul', { className: 'sound-results' })
+    renderSoundResults(result.details, list)
+    container.appendChild(
+      createElement('section', { className: 'round-results-section' }, [
+        createElement('h4', {}, [`Runda ${result.round}`]),
+        list
+      ])
+    )
+  })
+}
+
+/**
+ * Finds the health risks the played sounds pose to the selected recipients
+ * Every record linked to a selected recipient is listed with the played sounds whose "affects" name its group.
+ * Without recipients, or when none of them has a record (e.g. niewidomi), the records of the played sounds
+ * are listed instead.
+ * @param {Array} sounds - Played catalogue sounds
+ * @param {Array} recipients - Selected recipient groups
+ * @param {Array} [affected=gameState.affected] - Health-impact records
+ * @returns {Array} [{ group, risk, recipients: [labels], sounds: [pollution names] }]
+ */
+function getHealthRisks(sounds, recipients, affected = gameState.affected) {
+  const findRecord = (group, owner) => {
+    const record = affected.find((candidate) => candidate.group === group)
+    if (!record) console.error(`Unknown affected group "${group}" for "${owner}"`)
+    return record
+  }
+  const risks = new Map()
+  const addRisk = (record) => {
+    if (!risks.has(record)) risks.set(record, { group: record.group, risk: record.risk, recipients: [], sounds: [] })
+    return risks.get(record)
+  }
+
+  recipients.forEach((recipient) => {
+    ;(recipient.affected || []).forEach((group) => {
+      const record = findRecord(group, recipient.group)
+      if (record) addRisk(record).recipients.push(recipient.label)
+    })
+  })
+
+  const recipientsOnly = risks.size > 0
+  sounds.forEach((sound) => {
+    affected
+      .filter((record) => record.affects?.some((entry) => sound.affects?.includes(entry)))
+      .forEach((record) => {
+        if (recipientsOnly && !risks.has(record)) return
+        const risk = addRisk(record)
+        if (!risk.sounds.includes(sound.pollution)) risk.sounds.push(sound.pollution)
+      })
+  })
+
+  return [...risks.values()]
+}
+
+/**
+ * Explains the health risks of the campaign's sounds for the selected recipients on the final results screen
+ */
+function renderHealthRisks() {
+  const list = document.getElementById('healthRisks')
+  if (!list) return
+
+  const played = new Set(gameState.roundResults.flatMap((result) => result.sounds))
+  const sounds = gameState.pollutions.filter((sound) => played.has(sound.pollution))
+  const risks = getHealthRisks(sounds, gameState.selectedRecipients)
+
+  list.innerHTML = ''
+  if (risks.length === 0) {
+    list.appendChild(
+      createElement('li', { className: 'health-risk' }, ['Brak opisanych zagrożeń dla zdrowia tych odbiorców'])
+    )
+    return
+  }
+
+  risks.forEach((risk) => {
+    const sources = [
+      risk.recipients.length > 0 && `jako ${risk.recipients.join(', ')}`,
+      risk.sounds.length > 0 && `dźwięki: ${formatSoundNames(risk.sounds.map((pollution) => ({ pollution })))}`
+    ].filter(Boolean)
+
+    list.appendChild(
+      createElement('li', { className: 'health-risk' }, [
+        createElement('strong', {}, [risk.group]),
+        sources.length > 0 ? ` (${sources.join('; ')})` : '',
+        `: ${risk.risk.join(', ')}`
+      ])
+    )
+  })
+}
+
 /**
  * Creates the grid of sound buttons
  */
@@ -1104,8 +3063,8 @@ function createSoundGrid() {
   soundGrid.setAttribute('role', 'grid')
   soundGrid.setAttribute('aria-label', 'Sound selection grid')
 
-  const nonTinnitusSounds = gameState.pollutions.filter((sound) => !sound.isTinnitus)
-  nonTinnitusSounds.forEach((sound) => {
+  const guessableSounds = gameState.pollutions.filter((sound) => !sound.isOverlay)
+  guessableSounds.forEach((sound) => {
     soundGrid.appendChild(createSoundButton(sound))
   })
 }
@@ -1196,6 +3155,8 @@ function resetGame() {
   }
 
   stopAllSounds()
+  stopPreview()
+  stopComparison()
 
   // Hide time progress bar instead of removing it
   toggleTimeProgressBar(false)
@@ -1204,12 +3165,21 @@ function resetGame() {
   gameState.score = 0
   gameState.guessedSounds.clear()
   gameState.selectedSounds = []
+  gameState.backgroundLayers = []
+  gameState.loudnessAdjustments.clear()
   gameState.pointsMultiplier = 1.0
   gameState.isGuessingPhase = false
-  gameState.guessingTimeRemaining = 10
-  gameState.timeRemaining = 30
+  gameState.guessingTimeRemaining = gameState.config.guessingTime
+  gameState.guessingTime = gameState.config.guessingTime
+  gameState.timeRemaining = gameState.config.listeningTime
+  gameState.listeningTime = gameState.config.listeningTime
   gameState.selectedRecipients = []
   gameState.isLoading = false
+  gameState.round = 1
+  gameState.roundStartScore = 0
+  gameState.roundResults = []
+  gameState.scoreBreakdown = []
+  gameState.guessLog = []
 
   // Clear the selectedRecipients span text content
   const selectedRecipientsSpan = document.getElementById('selectedRecipients')
@@ -1218,12 +3188,13 @@ function resetGame() {
   }
 
   updateScoreDisplay()
-  updateTimer(30)
+  updateTimer(gameState.config.listeningTime)
 
   // Reset UI elements
   toggleUIElements(
     {
       gameOver: 'none',
+      roundSummary: 'none',
       gameControls: 'block',
       gamePlay: 'none',
       '.sound-grid': 'none',
@@ -1234,7 +3205,11 @@ function resetGame() {
     true
   )
 
-  // Reset recipient checkboxes
+  // Reset recipient checkboxes, a locked classroom link keeps its recipients
+  if (gameState.config.locked) {
+    setSelectedRecipients(gameState.config.recipients)
+    return
+  }
   const checkboxes = document.querySelectorAll('.recipient-checkbox input')
   checkboxes.forEach((checkbox) => {
     checkbox.checked = false
@@ -1271,12 +3246,31 @@ function createRecipientUI(recipient, container) {
   const tooltipSpan = document.createElement('span')
   tooltipSpan.className = 'tooltiptext tooltiptext-dynamic'
   tooltipSpan.innerHTML = `<p>${recipient.description}</p><a class="link" href="${recipient.source}" target="_blank">Źródło</a>`
+  const bonus = getRecipientBonus(recipient)
+  if (bonus > 0) {
+    tooltipSpan.appendChild(
+      createElement('p', { className: 'recipient-bonus' }, [`Bonus za trudność: +${Math.round(bonus * 100)}% punktów`])
+    )
+  }
 
   label.appendChild(checkbox)
   label.appendChild(span)
   label.appendChild(tooltipSpan)
   div.appendChild(label)
 
+  // A recipient without a known risk function can't be played, say so instead of silently ignoring it
+  if (!getRiskFunction(recipient.risk_function)) {
+    console.error(`Unknown risk function "${recipient.risk_function}" for recipient group "${recipient.group}"`)
+    checkbox.disabled = true
+    div.classList.add('recipient-unavailable')
+    div.appendChild(
+      createElement('p', { className: 'recipient-notice', role: 'alert' }, [
+        `Grupa niedostępna: nieznana funkcja ryzyka "${recipient.risk_function}"`
+      ])
+    )
+    return div
+  }
+
   // Unified event handling
   const handleRecipientChange = (e) => {
     if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') return
@@ -1285,6 +3279,9 @@ function createRecipientUI(recipient, container) {
     const isChecked = e.type === 'keydown' ? !checkbox.checked : checkbox.checked
     checkbox.checked = isChecked
 
+    // A running comparison would keep playing the previous recipients
+    stopComparison()
+
     if (isChecked) {
       if (!gameState.selectedRecipients.some((r) => r.group === recipient.group)) {
         gameState.selectedRecipients.push(recipient)
@@ -1345,175 +3342,374 @@ function createRecipientSelection() {
   gameState.recipients.forEach((recipient) => {
     container.appendChild(createRecipientUI(recipient, container))
   })
+
+  // Recipients preset by a classroom link (see applyUrlConfig)
+  setSelectedRecipients(gameState.selectedRecipients)
+  if (gameState.config.locked) lockSettings()
+}
+
+/**
+ * Replaces the recipient selection, keeping the checkboxes and the heading in sync
+ * @param {Array} recipients - Recipient groups to select
+ */
+function setSelectedRecipients(recipients) {
+  gameState.selectedRecipients = [...recipients]
+
+  document.querySelectorAll('#recipientCheckboxes input[type="checkbox"]').forEach((checkbox) => {
+    checkbox.checked = recipients.some((recipient) => recipient.group === checkbox.value)
+  })
+  const selectedRecipientsSpan = document.getElementById('selectedRecipients')
+  if (selectedRecipientsSpan) {
+    selectedRecipientsSpan.textContent = formatRecipientLabels(gameState.selectedRecipients)
+  }
 }
 
 /**
  * Helper function to select random sounds
+ * In adaptive mode sounds the player often misses are picked more often (see getSoundWeight in stats.js).
  * @param {number} count - Number of sounds to select
  * @param {Array} [availableSounds] - Optional array of sounds to select from. If not provided, uses gameState.pollutions
  * @returns {Array} Array of selected sounds
  */
 function selectRandomSounds(count, availableSounds = [...gameState.pollutions]) {
+  const soundStats = gameState.adaptiveSelection ? getSoundStats(loadStats().rounds) : null
   const selected = []
-  count = Math.min(count, 2)
   for (let i = 0; i < count; i++) {
     if (availableSounds.length === 0) break
-    const randomIndex = Math.floor(Math.random() * availableSounds.length)
-    selected.push(availableSounds.splice(randomIndex, 1)[0])
+    const weights = availableSounds.map((sound) => (soundStats ? getSoundWeight(soundStats.get(sound.pollution)) : 1))
+    selected.push(availableSounds.splice(pickWeightedIndex(weights), 1)[0])
   }
   return selected
 }
 
 /**
- * Helper function to parse amplitude value
- * @param {string|number} amplitude - Amplitude value to parse
- * @returns {number} Parsed amplitude value
+ * Picks a random index, each with a chance proportional to its weight
+ * @param {Array<number>} weights - Non-negative weights
+ * @param {number} [random=gameRandom()] - Random number between 0 and 1
+ * @returns {number} Picked index
  */
-function parseAmplitude(amplitude) {
-  if (!amplitude) return 0
-  if (typeof amplitude === 'number') return amplitude
-  if (amplitude.includes('up to')) {
-    return parseInt(amplitude.match(/\d+/)[0])
+function pickWeightedIndex(weights, random = gameRandom()) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0)
+  let threshold = random * total
+  for (let i = 0; i < weights.length; i++) {
+    threshold -= weights[i]
+    if (threshold < 0) return i
   }
-  if (amplitude.includes('-')) {
-    return parseInt(amplitude.split('-')[0])
-  }
-  return parseInt(amplitude)
+  return weights.length - 1
 }
 
 /**
- * Applies risk functions for selected recipient groups
+ * Reads an amplitude in the structured form of pollutions.json: { min_db, max_db, typical_db }
+ * Older entries describe it as a string ("60-134 dB", "up to 80 dB") or a number. They have no typical level,
+ * so the lower bound is used, which is what scoring was always based on.
+ * @param {Object|string|number} amplitude - Amplitude of a sound
+ * @returns {Object|null} { min_db, max_db, typical_db } or null if it is missing or can't be read
  */
-function applyRiskFunctions() {
-  // First, select random sounds if needed
-  if (gameState.selectedSounds.length === 0) {
-    gameState.selectedSounds = selectRandomSounds(Math.floor(Math.random() * 5) + 1)
+function normalizeAmplitude(amplitude) {
+  if (amplitude && typeof amplitude === 'object') {
+    const { min_db: min, max_db: max = min, typical_db: typical = min } = amplitude
+    if (![min, max, typical].every(Number.isFinite)) return null
+    return { min_db: min, max_db: max, typical_db: typical }
   }
 
-  // Track which risk functions have been applied to avoid duplicates
-  const appliedRiskFunctions = new Set()
+  const range = parseAmplitudeRange(amplitude)
+  return range && { min_db: range.min, max_db: range.max, typical_db: range.min }
+}
 
-  // Apply time-based effects first
-  gameState.selectedRecipients.forEach((recipient) => {
-    if (recipient.risk_function === 'reduced_time' && !appliedRiskFunctions.has('reduced_time')) {
-      appliedRiskFunctions.add('reduced_time')
-      gameState.timeRemaining = Math.max(10, gameState.timeRemaining - 10) // Changed from 20 to 10
-      gameState.guessingTimeRemaining = Math.max(3, gameState.guessingTimeRemaining - 2)
+/**
+ * Returns the amplitude of a sound; scoring, loud_sounds_louder and the rumble level all read it from here
+ * @param {Object} sound - Sound data object
+ * @returns {Object|null} { min_db, max_db, typical_db }, see normalizeAmplitude
+ */
+function getAmplitude(sound) {
+  return normalizeAmplitude(sound?.amplitude)
+}
+
+/**
+ * Formats an amplitude for the results screen
+ * @param {Object|string|number} amplitude - Amplitude of a sound
+ * @returns {string} Text such as "60-134 dB (typowo 80 dB)", empty if there is no amplitude
+ */
+function formatAmplitude(amplitude) {
+  const level = normalizeAmplitude(amplitude)
+  if (!level) return ''
+
+  const range = level.min_db === level.max_db ? `${level.min_db} dB` : `${level.min_db}-${level.max_db} dB`
+  return level.typical_db === level.min_db ? range : `${range} (typowo ${level.typical_db} dB)`
+}
+
+/**
+ * Parses a legacy amplitude string into its range
+ * @param {string|number} amplitude - Amplitude value such as "60-134 dB" or "up to 80 dB"
+ * @returns {Object|null} { min, max } in dB, or null if the value can't be parsed
+ */
+function parseAmplitudeRange(amplitude) {
+  if (!amplitude) return null
+  if (typeof amplitude === 'number') return { min: amplitude, max: amplitude }
+
+  const values = (amplitude.match(/\d+/g) || []).map(Number)
+  if (values.length === 0) return null
+  if (amplitude.includes('up to')) return { min: values[0], max: values[0] }
+  return { min: values[0], max: values[values.length - 1] }
+}
+
+/**
+ * Runs the callback for every selected sound that is processed by effects (overlays are skipped)
+ * @param {Function} callback - Called with each sound
+ */
+function forEachAffectedSound(callback) {
+  gameState.selectedSounds.filter((sound) => !sound.isOverlay).forEach(callback)
+}
+
+/**
+ * Risk function registry. recipients.json refers to entries by name and may override
+ * any declared parameter through "params"; missing or invalid values fall back to the default.
+ * - params: schema of { type: 'number', default, min, max } or { type: 'enum', default, values }
+ * - select(params): optional, changes the time or the selection before effects are applied
+ * - apply(params): optional, adds effects, layers or overlay sounds to the final selection
+ */
+const riskFunctionRegistry = {
+  reduced_time: {
+    params: {
+      listen_reduction: { type: 'number', default: 10, min: 0, max: 60 },
+      guess_reduction: { type: 'number', default: 2, min: 0, max: 30 }
+    },
+    select: (params) => {
+      gameState.timeRemaining = Math.max(10, gameState.timeRemaining - params.listen_reduction)
+      gameState.guessingTimeRemaining = Math.max(3, gameState.guessingTimeRemaining - params.guess_reduction)
       updateTimer(gameState.timeRemaining)
     }
-  })
-
-  // Apply sound modifications
-  gameState.selectedRecipients.forEach((recipient) => {
-    // Skip if this risk function has already been applied
-    if (appliedRiskFunctions.has(recipient.risk_function)) {
-      return
+  },
+  right_channel_sine: {
+    params: {
+      frequency: { type: 'number', default: TINNITUS_DEFAULTS.frequency, min: 4000, max: 8000 },
+      level: { type: 'number', default: TINNITUS_DEFAULTS.level, min: 0, max: 0.2 },
+      wobble_rate: { type: 'number', default: TINNITUS_DEFAULTS.wobble.rate, min: 0.01, max: 5 },
+      wobble_depth: { type: 'number', default: TINNITUS_DEFAULTS.wobble.depth, min: 0, max: 1 }
+    },
+    apply: (params) => {
+      // Synthesized tone, never part of selectedSounds so it can't show up in the guess grid
+      gameState.backgroundLayers.push(
+        createTinnitusLayer({
+          frequency: params.frequency,
+          level: params.level,
+          wobble: params.wobble_depth > 0 ? { rate: params.wobble_rate, depth: params.wobble_depth } : false
+        })
+      )
     }
-    appliedRiskFunctions.add(recipient.risk_function)
-
-    switch (recipient.risk_function) {
-      case 'right_channel_sine':
-        // Only add tinnitus if it's not already present
-        if (!gameState.selectedSounds.some((sound) => sound.isTinnitus)) {
-          gameState.selectedSounds.push({
-            pollution: 'tinnitus',
-            sound_file: 'sounds/tinnitus.ogg',
-            amplitude: '0-0',
-            isTinnitus: true
-          })
+  },
+  loud_sounds_louder: {
+    params: {
+      threshold_db: { type: 'number', default: LOUDNESS_DEFAULTS.thresholdDb, min: 0, max: 150 },
+      max_boost_db: { type: 'number', default: LOUDNESS_DEFAULTS.maxBoostDb, min: 0, max: 24 }
+    },
+    apply: (params) => {
+      const options = { thresholdDb: params.threshold_db, maxBoostDb: params.max_boost_db }
+      // Stored per game, the catalogue entries stay untouched
+      gameState.pollutions.forEach((sound) => {
+        const adjustment = computeLoudnessAdjustment(sound, options)
+        if (adjustment) {
+          gameState.loudnessAdjustments.set(sound.pollution, adjustment)
         }
-        break
-
-      case 'loud_sounds_louder':
-        gameState.pollutions.forEach((sound) => {
-          const amplitude = parseAmplitude(sound.amplitude)
-          if (amplitude >= 50) {
-            sound.volumeAdjustment = 3
-          }
+      })
+    }
+  },
+  loud_rumble: {
+    params: {
+      min_level: { type: 'number', default: RUMBLE_DEFAULTS.minLevel, min: 0, max: 1 },
+      max_level: { type: 'number', default: RUMBLE_DEFAULTS.maxLevel, min: 0, max: 1 },
+      shelf_frequency: { type: 'number', default: RUMBLE_DEFAULTS.shelfFrequency, min: 20, max: 1000 },
+      shelf_gain: { type: 'number', default: RUMBLE_DEFAULTS.shelfGain, min: 0, max: 24 }
+    },
+    apply: (params) => {
+      // Constant low-frequency exposure under the mix, with man-made sounds boomier on top
+      gameState.backgroundLayers.push(
+        createRumbleLayer(gameState.selectedSounds, { minLevel: params.min_level, maxLevel: params.max_level })
+      )
+      forEachAffectedSound((sound) => {
+        if (sound.is_antropo) {
+          addSoundEffect(sound, { type: 'lowshelf', frequency: params.shelf_frequency, gain: params.shelf_gain })
+        }
+      })
+    }
+  },
+  lowpass_filter: {
+    params: {
+      cutoff: { type: 'number', default: 200, min: 20, max: 20000 },
+      q: { type: 'number', default: 1, min: 0.1, max: 20 }
+    },
+    apply: (params) => {
+      forEachAffectedSound((sound) => addSoundEffect(sound, { type: 'lowpass', frequency: params.cutoff, Q: params.q }))
+    }
+  },
+  high_frequency_loss: {
+    params: {
+      cutoff: { type: 'number', default: 1500, min: 20, max: 20000 },
+      q: { type: 'number', default: 1, min: 0.1, max: 20 }
+    },
+    apply: (params) => {
+      forEachAffectedSound((sound) => addSoundEffect(sound, { type: 'lowpass', frequency: params.cutoff, Q: params.q }))
+    }
+  },
+  low_amplified: {
+    params: {
+      frequency: { type: 'number', default: 300, min: 20, max: 2000 },
+      gain: { type: 'number', default: 10, min: 0, max: 24 }
+    },
+    apply: (params) => {
+      forEachAffectedSound((sound) =>
+        addSoundEffect(sound, { type: 'lowshelf', frequency: params.frequency, gain: params.gain })
+      )
+    }
+  },
+  reverbation: {
+    params: {
+      impulse: { type: 'enum', default: DEFAULT_IMPULSE_RESPONSE, values: Object.keys(IMPULSE_RESPONSE_PRESETS) },
+      mix: { type: 'number', default: 0.35, min: 0, max: 1 }
+    },
+    apply: (params) => {
+      forEachAffectedSound((sound) => addSoundEffect(sound, { type: 'reverb', impulse: params.impulse, mix: params.mix }))
+    }
+  },
+  distorted_song_pattern: {
+    params: {
+      playback_rate: { type: 'number', default: BIRDSONG_DEFAULTS.basePlaybackRate, min: 1, max: 2 },
+      masking_db: { type: 'number', default: BIRDSONG_DEFAULTS.maskingDbPerSound, min: 0, max: 30 }
+    },
+    apply: (params) => {
+      // Rebuilt every time, so the masking follows the current selection
+      gameState.selectedSounds = gameState.selectedSounds.filter(
+        (sound) => sound.pollution !== BIRDSONG_DEFAULTS.name
+      )
+      gameState.selectedSounds.push(
+        createDistortedSongSound(gameState.selectedSounds, {
+          basePlaybackRate: params.playback_rate,
+          maskingDbPerSound: params.masking_db
         })
-        break
+      )
+    }
+  },
+  highpass_filter: {
+    params: {
+      cutoff: { type: 'number', default: 2000, min: 20, max: 20000 },
+      q: { type: 'number', default: 1, min: 0.1, max: 20 }
+    },
+    apply: (params) => {
+      forEachAffectedSound((sound) => addSoundEffect(sound, { type: 'highpass', frequency: params.cutoff, Q: params.q }))
+    }
+  },
+  bandpass_filter: {
+    params: {
+      low_cutoff: { type: 'number', default: 500, min: 20, max: 20000 },
+      high_cutoff: { type: 'number', default: 2000, min: 20, max: 20000 },
+      q: { type: 'number', default: 1, min: 0.1, max: 20 }
+    },
+    apply: (params) => {
+      forEachAffectedSound((sound) => {
+        addSoundEffect(sound, { type: 'highpass', frequency: params.low_cutoff, Q: params.q })
+        addSoundEffect(sound, { type: 'lowpass', frequency: params.high_cutoff, Q: params.q })
+      })
+    }
+  },
+  no_nature: {
+    params: {
+      cutoff: { type: 'number', default: 2000, min: 20, max: 20000 },
+      q: { type: 'number', default: 1, min: 0.1, max: 20 }
+    },
+    select: () => {
+      const anthropogenicSounds = gameState.pollutions.filter((sound) => sound.is_antropo)
+      gameState.selectedSounds = selectRandomSounds(getRoundSettings(gameState.round).soundCount, anthropogenicSounds)
+    },
+    apply: (params) => {
+      forEachAffectedSound((sound) => addSoundEffect(sound, { type: 'highpass', frequency: params.cutoff, Q: params.q }))
+    }
+  }
+}
 
-      case 'loud_rumble':
-        const industrialSound = gameState.pollutions.find((sound) => sound.pollution === 'przemysł')
-        if (industrialSound && !gameState.selectedSounds.some((sound) => sound.pollution === 'przemysł')) {
-          gameState.selectedSounds.push(industrialSound)
-        }
-        break
+/**
+ * Looks up a risk function in the registry
+ * @param {string} name - Value of risk_function in recipients.json
+ * @returns {Object|null} Registry entry or null if the function is unknown
+ */
+function getRiskFunction(name) {
+  return Object.prototype.hasOwnProperty.call(riskFunctionRegistry, name) ? riskFunctionRegistry[name] : null
+}
 
-      case 'lowpass_filter':
-        gameState.selectedSounds.forEach((sound) => {
-          if (!sound.isTinnitus) {
-            sound.lowpassFilter = 200
-          }
-        })
-        break
+/**
+ * Resolves recipient parameters against a risk function schema
+ * @param {string} name - Risk function name, used in error messages
+ * @param {Object} schema - Parameter schema of the registry entry
+ * @param {Object} [params] - Parameters from recipients.json
+ * @returns {Object} Every declared parameter with a valid value
+ */
+function resolveRiskParams(name, schema = {}, params = {}) {
+  Object.keys(params).forEach((key) => {
+    if (!schema[key]) {
+      console.error(`Unknown parameter "${key}" for risk function "${name}"`)
+    }
+  })
 
-      case 'high_frequency_loss':
-        gameState.selectedSounds.forEach((sound) => {
-          if (!sound.isTinnitus) {
-            sound.lowpassFilter = 1500
-          }
-        })
-        break
-
-      case 'low_amplified':
-        gameState.selectedSounds.forEach((sound) => {
-          if (!sound.isTinnitus) {
-            sound.bassBoost = {
-              frequency: 300,
-              gain: 10
-            }
-          }
-        })
-        break
+  return Object.fromEntries(
+    Object.entries(schema).map(([key, spec]) => {
+      const value = params[key]
+      if (value === undefined) return [key, spec.default]
 
-      case 'reverbation':
-        gameState.selectedSounds.forEach((sound) => {
-          if (!sound.isTinnitus) {
-            sound.reverbation = true
-          }
-        })
-        break
-
-      case 'distorted_song_pattern':
-        if (!gameState.selectedSounds.some((sound) => sound.pollution === 'zniekształcony śpiew ptaków')) {
-          gameState.selectedSounds.push({
-            pollution: 'zniekształcony śpiew ptaków',
-            sound_file: 'sounds/birds_393699.ogg',
-            amplitude: '0-0',
-            isTinnitus: true
-          })
-        }
-        break
+      if (spec.type === 'enum') {
+        if (spec.values.includes(value)) return [key, value]
+        console.error(`Invalid value "${value}" for ${name}.${key}, expected one of: ${spec.values.join(', ')}`)
+        return [key, spec.default]
+      }
 
-      case 'highpass_filter':
-        gameState.selectedSounds.forEach((sound) => {
-          if (!sound.isTinnitus) {
-            sound.highpassFilter = 2000
-          }
-        })
-        break
+      if (typeof value !== 'number' || isNaN(value)) {
+        console.error(`Invalid value "${value}" for ${name}.${key}, expected a number`)
+        return [key, spec.default]
+      }
+      return [key, Math.min(spec.max, Math.max(spec.min, value))]
+    })
+  )
+}
 
-      case 'bandpass_filter':
-        gameState.selectedSounds.forEach((sound) => {
-          if (!sound.isTinnitus) {
-            sound.lowpassFilter = 2000
-            sound.highpassFilter = 500
-          }
-        })
-        break
-
-      case 'no_nature':
-        const anthropogenicSounds = gameState.pollutions.filter((sound) => sound.is_antropo)
-        gameState.selectedSounds = selectRandomSounds(Math.floor(Math.random() * 5) + 1, anthropogenicSounds)
-        gameState.selectedSounds.forEach((sound) => {
-          if (!sound.isTinnitus) {
-            sound.highpassFilter = 2000
-          }
-        })
-        break
+/**
+ * Applies risk functions for selected recipient groups
+ * @param {Object} [options]
+ * @param {boolean} [options.changeRules=true] - Run the select hooks that change the round itself (e.g. reduced_time
+ *   shortening the timers); the A/B comparison only wants the sound effects
+ */
+function applyRiskFunctions({ changeRules = true } = {}) {
+  // First, select random sounds if needed
+  if (gameState.selectedSounds.length === 0) {
+    gameState.selectedSounds = selectRandomSounds(getRoundSettings(gameState.round).soundCount)
+  }
+
+  // Each risk function runs once, with the parameters of the first recipient using it
+  const activeRiskFunctions = []
+  gameState.selectedRecipients.forEach((recipient) => {
+    const name = recipient.risk_function
+    if (activeRiskFunctions.some((active) => active.name === name)) return
+
+    const riskFunction = getRiskFunction(name)
+    if (!riskFunction) {
+      console.error(`Unknown risk function "${name}" for recipient group "${recipient.group}"`)
+      return
     }
+    activeRiskFunctions.push({ name, riskFunction, params: resolveRiskParams(name, riskFunction.params, recipient.params) })
   })
+
+  // Apply time and selection effects first so sound effects land on the final selection
+  if (changeRules) activeRiskFunctions.forEach(({ riskFunction, params }) => riskFunction.select?.(params))
+
+  // Fresh session sounds every application, so effects and layers are rebuilt from scratch.
+  // Overlays already are per-round objects and keep the effects they were created with.
+  gameState.selectedSounds = gameState.selectedSounds.map((sound) => {
+    if (!sound.isOverlay) return createSessionSound(sound)
+    sound.effects = sound.effects || []
+    return sound
+  })
+  gameState.backgroundLayers = []
+  gameState.loudnessAdjustments.clear()
+
+  // Apply sound modifications, stacking effects in recipient order
+  activeRiskFunctions.forEach(({ riskFunction, params }) => riskFunction.apply?.(params))
 }
 
 /**
@@ -1557,22 +3753,51 @@ if (window.location.pathname.includes('test.html')) {
     resetGameState: () => {
       gameState = {
         pollutions: [],
+        catalogue: [],
         score: 0,
         timeRemaining: 30,
+        listeningTime: 30,
         activeSounds: [],
-        soundElements: [],
+        activeVoices: [],
         gameInterval: null,
         guessedSounds: new Set(),
         preloadedSounds: new Map(),
+        soundFiles: new Map(),
         isLoading: false,
         selectedSounds: [],
         pointsMultiplier: 1.0,
         isGuessingPhase: false,
-        guessingTimeRemaining: 10,
+        guessingTimeRemaining: CAMPAIGN_DEFAULTS.guessingTime,
+        guessingTime: CAMPAIGN_DEFAULTS.guessingTime,
         guessingInterval: null,
         selectedRecipients: [],
-        recipients: []
+        recipients: [],
+        affected: [],
+        masterVolume: 1.0,
+        referenceTone: null,
+        startAfterCalibration: false,
+        backgroundLayers: [],
+        activeLayers: [],
+        loudnessAdjustments: new Map(),
+        round: 1,
+        totalRounds: CAMPAIGN_DEFAULTS.rounds,
+        roundStartScore: 0,
+        roundResults: [],
+        scoreBreakdown: [],
+        guessLog: [],
+        preview: null,
+        comparison: null,
+        comparisonPending: null,
+        comparisonMix: 0,
+        adaptiveSelection: false,
+        seed: null,
+        random: Math.random,
+        challengeSeed: null,
+        config: createDefaultConfig()
       }
+      if (audioEngine) clearInterval(audioEngine.meter)
+      audioEngine = null
+      soundCache.clear()
     }
   }
 }
@@ -0,0 +1,123 @@
+/**
+ * Scoring engine for the Sound Pollution Challenge Game
+ * Every point change goes through this file so the game-over screen can list it line by line:
+ * - correct guesses earn base points from the sound's typical level (quieter sounds are worth more),
+ *   scaled by the time-adjustment multiplier
+ * - every selected recipient adds its difficulty bonus on top of a correct guess
+ * - wrong guesses cost a flat penalty
+ *
+ * Loaded before game.js; reads gameState and getAmplitude from it at call time.
+ */
+
+const SCORING_DEFAULTS = {
+  maxPoints: 100, // Base points are maxPoints minus the sound's typical level in dB
+  minPoints: 10, // Even the loudest sound is worth something
+  wrongGuessPenalty: 20,
+  maxRecipientBonus: 1 // Difficulty bonus is a fraction of the guess points, at most doubling them
+}
+
+/**
+ * Base points of a correctly guessed sound, before any multiplier
+ * @param {Object} sound - Sound data object with an amplitude
+ * @returns {number} Base points
+ */
+function getBasePoints(sound) {
+  return Math.max(SCORING_DEFAULTS.maxPoints - (getAmplitude(sound)?.typical_db || 0), SCORING_DEFAULTS.minPoints)
+}
+
+/**
+ * Calculates points for a guess with multiplier
+ * @param {Object} sound - The sound that was guessed
+ * @param {boolean} isCorrect - Whether the guess was correct
+ * @param {number} [multiplier=gameState.pointsMultiplier] - Time-adjustment multiplier
+ * @returns {number} Points earned
+ */
+function calculatePoints(sound, isCorrect, multiplier = gameState.pointsMultiplier) {
+  if (!isCorrect) return -SCORING_DEFAULTS.wrongGuessPenalty
+  return Math.round(getBasePoints(sound) * multiplier)
+}
+
+/**
+ * Reads the difficulty bonus of a recipient group ("difficulty_bonus" in recipients.json)
+ * @param {Object} recipient - Recipient group
+ * @returns {number} Bonus as a fraction of the guess points (0 when not set or invalid)
+ */
+function getRecipientBonus(recipient) {
+  const bonus = recipient?.difficulty_bonus
+  if (bonus === undefined) return 0
+  if (typeof bonus !== 'number' || !Number.isFinite(bonus) || bonus < 0) {
+    console.error(`Invalid difficulty_bonus "${bonus}" for recipient group "${recipient.group}", using 0`)
+    return 0
+  }
+  return Math.min(bonus, SCORING_DEFAULTS.maxRecipientBonus)
+}
+
+/**
+ * Scores a single guess as a list of breakdown items
+ * @param {Object} sound - The sound that was guessed
+ * @param {boolean} isCorrect - Whether the guess was correct
+ * @param {Object} [context] - Multiplier and recipients in effect
+ * @param {number} [context.multiplier=1] - Time-adjustment multiplier
+ * @param {Array} [context.recipients=[]] - Selected recipient groups
+ * @returns {Array} Items { type: 'correct'|'bonus'|'wrong', sound, points, ... }
+ */
+function scoreGuess(sound, isCorrect, { multiplier = 1, recipients = [] } = {}) {
+  if (!isCorrect) {
+    return [{ type: 'wrong', sound: sound.pollution, points: calculatePoints(sound, false, multiplier) }]
+  }
+
+  const points = calculatePoints(sound, true, multiplier)
+  const items = [
+    { type: 'correct', sound: sound.pollution, basePoints: getBasePoints(sound), multiplier, points }
+  ]
+
+  recipients.forEach((recipient) => {
+    const bonus = getRecipientBonus(recipient)
+    if (bonus > 0) {
+      items.push({
+        type: 'bonus',
+        sound: sound.pollution,
+        recipient: recipient.label,
+        bonus,
+        points: Math.round(points * bonus)
+      })
+    }
+  })
+
+  return items
+}
+
+/**
+ * Adds breakdown items to the score and remembers them for the results screen
+ * @param {Array} items - Items returned by scoreGuess
+ * @returns {number} Points added by the items
+ */
+function applyScoreItems(items) {
+  const points = items.reduce((sum, item) => sum + item.points, 0)
+  items.forEach((item) => gameState.scoreBreakdown.push({ ...item, round: gameState.round }))
+  gameState.score = (gameState.score || 0) + points
+  return points
+}
+
+/**
+ * Formats a breakdown item as one line of the results screen
+ * @param {Object} item - Breakdown item
+ * @returns {string} Line in Polish
+ */
+function formatScoreItem(item) {
+  const sound = item.sound.replace(/_/g, ' ').toLowerCase()
+  const points = `${item.points > 0 ? '+' : ''}${item.points} pkt`
+
+  switch (item.type) {
+    case 'correct':
+      return item.multiplier === 1
+        ? `Rozpoznano ${sound}: ${points}`
+        : `Rozpoznano ${sound}: ${item.basePoints} × ${item.multiplier} = ${points}`
+    case 'bonus':
+      return `Bonus (${item.recipient}, +${Math.round(item.bonus * 100)}%) za ${sound}: ${points}`
+    case 'wrong':
+      return `Błędna odpowiedź (${sound}): ${points}`
+    default:
+      return `${sound}: ${points}`
+  }
+}
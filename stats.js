@@ -0,0 +1,512 @@
+/**
+ * Local statistics for the Sound Pollution Challenge Game
+ * Every finished round is stored in localStorage, so scores survive resetGame and page reloads.
+ * The stats page (stats.html) shows a top-10 table per recipient combination, the score history,
+ * how well the player knows every sound and which sounds get mistaken for which (exportable as CSV).
+ * The same per-sound stats drive the adaptive sound selection.
+ *
+ * Loaded before game.js in game.html and on its own in stats.html.
+ */
+
+const STATS_DEFAULTS = {
+  // The test suite runs on the same origin as the game and must not touch the player's stats
+  storageKey: window.location.pathname.includes('test.html') ? 'soundPollutionStats:test' : 'soundPollutionStats',
+  version: 1,
+  maxEntries: 500, // Oldest rounds are dropped first
+  topCount: 10,
+  historyCount: 50 // Rounds shown in the history chart
+}
+
+// Adaptive selection, spaced-repetition style: missed sounds come back often, every recognition in a row
+// halves how often a sound is picked again
+const ADAPTIVE_DEFAULTS = {
+  unseenWeight: 2, // Sounds the player has never heard in the game
+  baseWeight: 1,
+  missWeight: 4, // Extra weight at a 100% miss rate
+  knownHitRate: 0.8, // Dashboard: a sound is known when recognized at least this often...
+  knownStreak: 2 // ...and the last rounds with it were recognized
+}
+
+/**
+ * Reads the stored statistics
+ * @returns {Object} { version, rounds } with rounds in the order they were played
+ */
+function loadStats() {
+  const empty = { version: STATS_DEFAULTS.version, rounds: [] }
+
+  try {
+    const stored = window.localStorage.getItem(STATS_DEFAULTS.storageKey)
+    if (!stored) return empty
+
+    const stats = JSON.parse(stored)
+    if (!Array.isArray(stats?.rounds)) {
+      console.error('Ignoring stored stats without a rounds list')
+      return empty
+    }
+    return stats
+  } catch (error) {
+    console.error('Error reading stats:', error)
+    return empty
+  }
+}
+
+/**
+ * Writes the statistics, keeping at most STATS_DEFAULTS.maxEntries rounds
+ * @param {Object} stats - Statistics to store
+ * @returns {boolean} Whether the statistics were stored
+ */
+function saveStats(stats) {
+  try {
+    const rounds = stats.rounds.slice(-STATS_DEFAULTS.maxEntries)
+    window.localStorage.setItem(
+      STATS_DEFAULTS.storageKey,
+      JSON.stringify({ ...stats, version: STATS_DEFAULTS.version, rounds })
+    )
+    return true
+  } catch (error) {
+    // Private browsing or a full storage must never break the game
+    console.error('Error saving stats:', error)
+    return false
+  }
+}
+
+/**
+ * Stores a finished round
+ * @param {Object} entry - Round entry { date, round, score, totalScore, recipients, sounds, guesses, listeningTime },
+ *   every guess being { sound, correct, activeSounds }
+ * @returns {boolean} Whether the round was stored
+ */
+function recordRoundStats(entry) {
+  const stats = loadStats()
+  stats.rounds.push(entry)
+  return saveStats(stats)
+}
+
+/**
+ * Removes every stored round
+ */
+function clearStats() {
+  try {
+    window.localStorage.removeItem(STATS_DEFAULTS.storageKey)
+  } catch (error) {
+    console.error('Error clearing stats:', error)
+  }
+}
+
+/**
+ * Identifies a recipient combination regardless of the order the recipients were picked in
+ * @param {Array} recipients - Recipients stored with a round ({ group, label })
+ * @returns {string} Combination key
+ */
+function getRecipientCombinationKey(recipients = []) {
+  return recipients
+    .map((recipient) => recipient.group)
+    .sort()
+    .join('+')
+}
+
+/**
+ * Groups rounds by recipient combination, each group sorted from the best score
+ * @param {Array} rounds - Stored rounds
+ * @param {number} [limit=STATS_DEFAULTS.topCount] - Rounds kept per combination
+ * @returns {Array} [{ key, recipients, rounds }] sorted by the best score of each combination
+ */
+function getTopScores(rounds, limit = STATS_DEFAULTS.topCount) {
+  const groups = new Map()
+  rounds.forEach((round) => {
+    const key = getRecipientCombinationKey(round.recipients)
+    if (!groups.has(key)) groups.set(key, { key, recipients: round.recipients || [], rounds: [] })
+    groups.get(key).rounds.push(round)
+  })
+
+  return [...groups.values()]
+    .map((group) => ({
+      ...group,
+      // Equal scores keep the earlier round first
+      rounds: [...group.rounds].sort((a, b) => b.score - a.score || a.date.localeCompare(b.date)).slice(0, limit)
+    }))
+    .sort((a, b) => b.rounds[0].score - a.rounds[0].score)
+}
+
+/**
+ * Sums up how the player did with every sound, oldest round first
+ * @param {Array} rounds - Stored rounds
+ * @returns {Map} Pollution name -> { played, found, falsePositives, streak }
+ *   streak counts the latest rounds in a row where the sound was recognized
+ */
+function getSoundStats(rounds) {
+  const soundStats = new Map()
+  const get = (pollution) => {
+    if (!soundStats.has(pollution)) soundStats.set(pollution, { played: 0, found: 0, falsePositives: 0, streak: 0 })
+    return soundStats.get(pollution)
+  }
+
+  rounds.forEach((round) => {
+    const correct = new Set(round.guesses.filter((guess) => guess.correct).map((guess) => guess.sound))
+    round.sounds.forEach((pollution) => {
+      const entry = get(pollution)
+      const found = correct.has(pollution)
+      entry.played++
+      if (found) entry.found++
+      entry.streak = found ? entry.streak + 1 : 0
+    })
+    round.guesses.filter((guess) => !guess.correct).forEach((guess) => get(guess.sound).falsePositives++)
+  })
+
+  return soundStats
+}
+
+/**
+ * Weight of a sound in the adaptive selection
+ * @param {Object} [soundStats] - Stats of the sound from getSoundStats
+ * @returns {number} Relative chance of being picked
+ */
+function getSoundWeight(soundStats) {
+  if (!soundStats?.played) return ADAPTIVE_DEFAULTS.unseenWeight
+
+  const missRate = 1 - soundStats.found / soundStats.played
+  return ADAPTIVE_DEFAULTS.baseWeight / 2 ** soundStats.streak + ADAPTIVE_DEFAULTS.missWeight * missRate
+}
+
+/**
+ * Describes how well the player knows a sound
+ * @param {Object} [soundStats] - Stats of the sound from getSoundStats
+ * @returns {string} 'new', 'known', 'learning' or 'difficult'
+ */
+function getSoundKnowledge(soundStats) {
+  if (!soundStats?.played) return 'new'
+
+  const hitRate = soundStats.found / soundStats.played
+  if (hitRate >= ADAPTIVE_DEFAULTS.knownHitRate && soundStats.streak >= ADAPTIVE_DEFAULTS.knownStreak) return 'known'
+  if (hitRate >= 0.5) return 'learning'
+  return 'difficult'
+}
+
+// Column of the confusion matrix for played sounds the player never pointed at
+const CONFUSION_MISSED = 'nie wskazano'
+
+/**
+ * Aggregates every stored guess into a confusion matrix: which played sound was taken for which button.
+ * A wrong guess is shared equally between the sounds that were playing and weren't recognized in that round
+ * (all playing sounds if every one was recognized); rounds before guesses stored their sounds use round.sounds.
+ * @param {Array} rounds - Stored rounds
+ * @returns {Object} { played, guessed, counts } - row sounds, column sounds (ending with CONFUSION_MISSED)
+ *   and counts as a Map played -> Map guessed -> count
+ */
+function getConfusionMatrix(rounds) {
+  const counts = new Map()
+  const guessed = new Set()
+  const add = (played, guess, amount) => {
+    if (!counts.has(played)) counts.set(played, new Map())
+    const row = counts.get(played)
+    row.set(guess, (row.get(guess) || 0) + amount)
+    if (guess !== CONFUSION_MISSED) guessed.add(guess)
+  }
+
+  rounds.forEach((round) => {
+    const found = new Set(round.guesses.filter((guess) => guess.correct).map((guess) => guess.sound))
+
+    round.guesses
+      .filter((guess) => !guess.correct)
+      .forEach((guess) => {
+        const active = guess.activeSounds?.length ? guess.activeSounds : round.sounds
+        const unrecognized = active.filter((sound) => !found.has(sound))
+        const heard = unrecognized.length ? unrecognized : active
+        heard.forEach((sound) => add(sound, guess.sound, 1 / heard.length))
+      })
+
+    round.sounds.forEach((sound) => add(sound, found.has(sound) ? sound : CONFUSION_MISSED, 1))
+  })
+
+  const played = [...counts.keys()].sort((a, b) => a.localeCompare(b, 'pl'))
+  return {
+    played,
+    guessed: [...new Set([...played, ...guessed])].sort((a, b) => a.localeCompare(b, 'pl')).concat(CONFUSION_MISSED),
+    counts
+  }
+}
+
+/**
+ * Formats a (possibly shared) count of the confusion matrix
+ * @param {number} count - Count
+ * @returns {string} Count with at most two decimals
+ */
+function formatConfusionCount(count) {
+  return String(Math.round(count * 100) / 100)
+}
+
+/**
+ * Writes the confusion matrix as CSV, one row per played sound
+ * @param {Object} matrix - Matrix from getConfusionMatrix
+ * @returns {string} CSV text
+ */
+function confusionMatrixToCsv(matrix) {
+  const escape = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value)
+  const rows = [['odtworzony \\ wskazany', ...matrix.guessed]]
+  matrix.played.forEach((played) => {
+    const row = matrix.counts.get(played)
+    rows.push([played, ...matrix.guessed.map((guess) => formatConfusionCount(row.get(guess) || 0))])
+  })
+  return rows.map((row) => row.map(escape).join(',')).join('\n')
+}
+
+/**
+ * Downloads the confusion matrix of all stored rounds as a CSV file
+ */
+function downloadConfusionCsv() {
+  const csv = confusionMatrixToCsv(getConfusionMatrix(loadStats().rounds))
+  // The byte order mark lets spreadsheet programs read the Polish characters
+  const url = URL.createObjectURL(new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = 'pomylki-dzwiekow.csv'
+  link.click()
+  // Revoking right away can cancel the download that click() only queued
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+/**
+ * Draws the confusion matrix as a heatmap table
+ * @param {HTMLTableElement} table - Table to fill
+ * @param {Array} rounds - Stored rounds
+ */
+function renderConfusionMatrix(table, rounds) {
+  const matrix = getConfusionMatrix(rounds)
+  const label = (sound) => sound.replace(/_/g, ' ')
+
+  table.innerHTML = ''
+  if (matrix.played.length === 0) return
+
+  const head = document.createElement('thead')
+  const headRow = document.createElement('tr')
+  ;['odtworzony \\ wskazany', ...matrix.guessed].forEach((sound) => {
+    const cell = document.createElement('th')
+    cell.scope = 'col'
+    cell.textContent = label(sound)
+    headRow.appendChild(cell)
+  })
+  head.appendChild(headRow)
+  table.appendChild(head)
+
+  const body = document.createElement('tbody')
+  matrix.played.forEach((played) => {
+    const counts = matrix.counts.get(played)
+    // Shades are relative to the row, so rarely played sounds stay readable
+    const rowTotal = [...counts.values()].reduce((sum, count) => sum + count, 0)
+    const row = document.createElement('tr')
+
+    const heading = document.createElement('th')
+    heading.scope = 'row'
+    heading.textContent = label(played)
+    row.appendChild(heading)
+
+    matrix.guessed.forEach((guess) => {
+      const count = counts.get(guess) || 0
+      const cell = document.createElement('td')
+      cell.textContent = count ? formatConfusionCount(count) : ''
+      cell.style.setProperty('--confusion-share', count / rowTotal)
+      if (guess === played) cell.classList.add('confusion-correct')
+      row.appendChild(cell)
+    })
+    body.appendChild(row)
+  })
+  table.appendChild(body)
+}
+
+/**
+ * Formats the recipients of a combination for the stats page
+ * @param {Array} recipients - Recipients stored with a round
+ * @returns {string} Labels, or a note for rounds without recipients
+ */
+function formatStatsRecipients(recipients = []) {
+  if (recipients.length === 0) return 'Bez grupy odbiorców'
+  return recipients.map((recipient) => recipient.label).join(', ')
+}
+
+/**
+ * Formats a stored date for the stats page
+ * @param {string} date - ISO date
+ * @returns {string} Local date and time
+ */
+function formatStatsDate(date) {
+  return new Date(date).toLocaleString('pl-PL', { dateStyle: 'short', timeStyle: 'short' })
+}
+
+/**
+ * Creates the top-10 table of one recipient combination
+ * @param {Object} group - Combination from getTopScores
+ * @returns {HTMLElement} Section with a heading and a table
+ */
+function createTopScoresTable(group) {
+  const section = document.createElement('section')
+  section.className = 'stats-top'
+
+  const heading = document.createElement('h3')
+  heading.textContent = formatStatsRecipients(group.recipients)
+  section.appendChild(heading)
+
+  const table = document.createElement('table')
+  table.className = 'stats-table'
+  table.innerHTML =
+    '<thead><tr><th>#</th><th>Wynik</th><th>Data</th><th>Runda</th><th>Rozpoznane</th><th>Czas słuchania</th></tr></thead>'
+
+  const body = document.createElement('tbody')
+  group.rounds.forEach((round, index) => {
+    const correct = new Set(round.guesses.filter((guess) => guess.correct).map((guess) => guess.sound)).size
+    const row = document.createElement('tr')
+    ;[
+      index + 1,
+      round.score,
+      formatStatsDate(round.date),
+      round.round,
+      `${correct} z ${round.sounds.length}`,
+      `${round.listeningTime} s`
+    ].forEach((value) => {
+      const cell = document.createElement('td')
+      cell.textContent = value
+      row.appendChild(cell)
+    })
+    body.appendChild(row)
+  })
+  table.appendChild(body)
+  section.appendChild(table)
+
+  return section
+}
+
+/**
+ * Draws the score of the latest rounds as a line chart
+ * @param {SVGElement} svg - Chart element
+ * @param {Array} rounds - Stored rounds, oldest first
+ */
+function renderStatsHistory(svg, rounds) {
+  const width = 600
+  const height = 200
+  const padding = 24
+  const history = rounds.slice(-STATS_DEFAULTS.historyCount)
+
+  svg.innerHTML = ''
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`)
+  svg.setAttribute('role', 'img')
+  svg.setAttribute('aria-label', `Historia wyników: ${history.length} ostatnich rund`)
+  if (history.length === 0) return
+
+  const scores = history.map((round) => round.score)
+  const min = Math.min(0, ...scores)
+  const max = Math.max(...scores, min + 1)
+  const x = (index) =>
+    history.length === 1 ? width / 2 : padding + (index * (width - 2 * padding)) / (history.length - 1)
+  const y = (score) => height - padding - ((score - min) * (height - 2 * padding)) / (max - min)
+
+  const namespace = 'http://www.w3.org/2000/svg'
+  const baseline = document.createElementNS(namespace, 'line')
+  baseline.setAttribute('class', 'stats-history-axis')
+  baseline.setAttribute('x1', padding)
+  baseline.setAttribute('x2', width - padding)
+  baseline.setAttribute('y1', y(0))
+  baseline.setAttribute('y2', y(0))
+  svg.appendChild(baseline)
+
+  const line = document.createElementNS(namespace, 'polyline')
+  line.setAttribute('class', 'stats-history-line')
+  line.setAttribute('points', scores.map((score, index) => `${x(index)},${y(score)}`).join(' '))
+  svg.appendChild(line)
+
+  scores.forEach((score, index) => {
+    const point = document.createElementNS(namespace, 'circle')
+    point.setAttribute('class', 'stats-history-point')
+    point.setAttribute('cx', x(index))
+    point.setAttribute('cy', y(score))
+    point.setAttribute('r', 3)
+    const title = document.createElementNS(namespace, 'title')
+    title.textContent = `${formatStatsDate(history[index].date)}: ${score} pkt`
+    point.appendChild(title)
+    svg.appendChild(point)
+  })
+}
+
+/**
+ * Lists every played sound with its recognition rate, the hardest first
+ * @param {HTMLElement} list - List element to fill
+ * @param {Array} rounds - Stored rounds
+ */
+function renderSoundKnowledge(list, rounds) {
+  const labels = { known: 'Znasz', learning: 'Uczysz się', difficult: 'Sprawia trudność' }
+  const hitRate = ({ found, played }) => (played ? found / played : 0)
+
+  list.innerHTML = ''
+  ;[...getSoundStats(rounds)]
+    .filter(([, soundStats]) => soundStats.played > 0)
+    .sort(([, a], [, b]) => hitRate(a) - hitRate(b) || b.played - a.played)
+    .forEach(([pollution, soundStats]) => {
+      const knowledge = getSoundKnowledge(soundStats)
+      const percent = Math.round(hitRate(soundStats) * 100)
+
+      const item = document.createElement('li')
+      item.className = `stats-sound stats-sound-${knowledge}`
+
+      const name = document.createElement('strong')
+      name.textContent = pollution.replace(/_/g, ' ')
+      const label = document.createElement('span')
+      label.className = 'stats-sound-label'
+      label.textContent = labels[knowledge]
+      const bar = document.createElement('div')
+      bar.className = 'stats-sound-bar'
+      bar.setAttribute('role', 'img')
+      bar.setAttribute('aria-label', `${percent}% rozpoznań`)
+      const fill = document.createElement('div')
+      fill.className = 'stats-sound-fill'
+      fill.style.width = `${percent}%`
+      bar.appendChild(fill)
+      const details = document.createElement('span')
+      details.className = 'stats-sound-details'
+      details.textContent =
+        `${soundStats.found} z ${soundStats.played} rozpoznanych (${percent}%)` +
+        (soundStats.falsePositives ? `, błędnie wskazany ${soundStats.falsePositives}×` : '')
+
+      item.append(name, label, bar, details)
+      list.appendChild(item)
+    })
+}
+
+/**
+ * Fills the stats page with the stored rounds
+ */
+function renderStats() {
+  const { rounds } = loadStats()
+  const tables = document.getElementById('statsTables')
+  const history = document.getElementById('statsHistory')
+  const empty = document.getElementById('statsEmpty')
+
+  if (empty) empty.style.display = rounds.length === 0 ? 'block' : 'none'
+  if (tables) {
+    tables.innerHTML = ''
+    getTopScores(rounds).forEach((group) => tables.appendChild(createTopScoresTable(group)))
+  }
+  if (history) renderStatsHistory(history, rounds)
+
+  const sounds = document.getElementById('statsSounds')
+  if (sounds) renderSoundKnowledge(sounds, rounds)
+
+  const confusion = document.getElementById('confusionMatrix')
+  if (confusion) renderConfusionMatrix(confusion, rounds)
+}
+
+/**
+ * Sets up the stats page
+ */
+function initStatsPage() {
+  renderStats()
+
+  const clearButton = document.getElementById('clearStats')
+  if (clearButton) {
+    clearButton.addEventListener('click', () => {
+      if (!window.confirm('Czy na pewno usunąć wszystkie zapisane wyniki?')) return
+      clearStats()
+      renderStats()
+    })
+  }
+
+  const exportButton = document.getElementById('exportConfusion')
+  if (exportButton) exportButton.addEventListener('click', downloadConfusionCsv)
+}
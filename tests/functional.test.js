@@ -8,6 +8,9 @@ describe('Functional tests', function () {
       it('should handle different audio formats', async function () {
         const gameState = window.gameFunctions.getGameState()
         const formats = ['mp3', 'ogg', 'wav']
+        const originalFetch = window.fetch
+        window.fetch = () =>
+          Promise.resolve({ ok: true, status: 200, arrayBuffer: () => Promise.resolve(new ArrayBuffer(1)) })
 
         for (const format of formats) {
           const sound = {
@@ -16,10 +19,12 @@ describe('Functional tests', function () {
             amplitude: '50-70'
           }
           gameState.pollutions = [sound]
+          gameState.selectedSounds = [sound]
 
           await window.gameFunctions.preloadSounds()
           expect(gameState.preloadedSounds.size).to.equal(1)
         }
+        window.fetch = originalFetch
       })
 
       it('should handle touch events', function () {
@@ -228,8 +233,7 @@ describe('Functional tests', function () {
         gameState.pollutions = [{ pollution: 'test', sound_file: 'test.mp3' }] // Add to pollutions array
 
         // Add preloaded sound
-        const mockAudio = new MockAudio()
-        gameState.preloadedSounds.set('test', mockAudio)
+        gameState.preloadedSounds.set('test', createMockAudioBuffer())
 
         // Simulate space key for sound playback
         const spaceEvent = new KeyboardEvent('keydown', { key: ' ' })
@@ -22,82 +22,181 @@ describe('Game Logic', function () {
       // Clean up any remaining audio elements
       const gameState = window.gameFunctions.getGameState()
       gameState.preloadedSounds.clear()
-      gameState.soundElements = []
+      gameState.activeVoices = []
       gameState.activeSounds = []
     })
 
     // Test sound preloading functionality
     describe('Sound Preloading', function () {
-      it('should preload all sounds successfully', async function () {
-        const gameState = window.gameFunctions.getGameState()
-        // Mock immediate sound loading
-        const mockAudio = function () {
-          const audio = new MockAudio()
-          // Immediately trigger canplaythrough
-          setTimeout(() => {
-            if (audio.listeners.canplaythrough) {
-              audio.listeners.canplaythrough.forEach((cb) => cb())
-            }
-          }, 0)
-          return audio
+      let originalFetch
+
+      beforeEach(function () {
+        originalFetch = window.fetch
+      })
+
+      afterEach(function () {
+        window.fetch = originalFetch
+      })
+
+      // Serves one byte of "audio" for every file, or fails the listed files
+      const mockSoundFetch = (failing = []) => {
+        const requests = []
+        window.fetch = (url) => {
+          requests.push(url)
+          if (failing.includes(url)) {
+            return Promise.resolve({ ok: false, status: 404 })
+          }
+          return Promise.resolve({ ok: true, status: 200, arrayBuffer: () => Promise.resolve(new ArrayBuffer(1)) })
         }
-        window.Audio = mockAudio
+        return requests
+      }
+
+      it('should preload only the selected sounds', async function () {
+        const gameState = window.gameFunctions.getGameState()
+        const requests = mockSoundFetch()
+        gameState.pollutions = [
+          { pollution: 'car', sound_file: ['car.mp3'], amplitude: '50-70' },
+          { pollution: 'train', sound_file: ['train.mp3'], amplitude: '60-80' },
+          { pollution: 'plane', sound_file: ['plane.mp3'], amplitude: '70-90' }
+        ]
+        gameState.selectedSounds = gameState.pollutions.slice(0, 2)
 
         await window.gameFunctions.preloadSounds()
-        expect(gameState.preloadedSounds.size).to.equal(gameState.pollutions.length)
 
-        // Restore original Audio
-        window.Audio = MockAudio
+        expect(requests).to.have.members(['car.mp3', 'train.mp3'])
+        expect([...gameState.preloadedSounds.keys()]).to.have.members(['car', 'train'])
+        expect(gameState.preloadedSounds.get('car').numberOfChannels).to.equal(2)
       })
 
       it('should handle preloading errors gracefully', async function () {
-        // Mock a failed sound load
-        const mockAudio = function () {
-          const audio = new MockAudio()
-          audio.listeners = {
-            error: []
-          }
-          audio.addEventListener = (event, callback) => {
-            if (event === 'error') {
-              audio.listeners.error.push(callback)
-              setTimeout(callback, 0)
-            }
-          }
-          // Simulate error by not triggering canplaythrough
-          return audio
+        const gameState = window.gameFunctions.getGameState()
+        mockSoundFetch(['car.mp3', 'train.mp3'])
+        gameState.pollutions = [
+          { pollution: 'car', sound_file: ['car.mp3'], amplitude: '50-70' },
+          { pollution: 'train', sound_file: ['train.mp3'], amplitude: '60-80' }
+        ]
+        gameState.selectedSounds = [...gameState.pollutions]
+        const originalWarn = console.warn
+        const originalError = console.error
+        console.warn = () => {}
+        console.error = () => {}
+
+        await window.gameFunctions.preloadSounds()
+        console.warn = originalWarn
+        console.error = originalError
+
+        expect(gameState.preloadedSounds.size).to.equal(0) // No sounds should be preloaded due to errors
+        expect(gameState.isLoading).to.be.false
+      })
+
+      it('should retry a failed file before giving up', async function () {
+        let attempts = 0
+        window.fetch = () => {
+          attempts++
+          if (attempts < 3) return Promise.reject(new Error('Network error'))
+          return Promise.resolve({ ok: true, status: 200, arrayBuffer: () => Promise.resolve(new ArrayBuffer(1)) })
         }
-        window.Audio = mockAudio
+        const originalWarn = console.warn
+        console.warn = () => {}
 
+        const buffer = await window.gameFunctions.fetchAudioBuffer('car.mp3', { retries: 2, retryDelay: 0 })
+        console.warn = originalWarn
+
+        expect(attempts).to.equal(3)
+        expect(buffer.length).to.be.greaterThan(0)
+      })
+
+      it('should fetch each file once and share it between sounds', async function () {
         const gameState = window.gameFunctions.getGameState()
-        // Set up some test pollutions with array of sound files
+        const requests = mockSoundFetch()
+        gameState.pollutions = [
+          { pollution: 'car', sound_file: ['traffic.mp3'], amplitude: '50-70' },
+          { pollution: 'bus', sound_file: ['traffic.mp3'], amplitude: '50-70' }
+        ]
+        gameState.selectedSounds = [...gameState.pollutions]
+
+        await window.gameFunctions.preloadSounds()
+        await window.gameFunctions.preloadSounds()
+
+        expect(requests).to.deep.equal(['traffic.mp3'])
+        expect(gameState.preloadedSounds.get('car')).to.equal(gameState.preloadedSounds.get('bus'))
+      })
+
+      it('should report progress on the loading screen', async function () {
+        const gameState = window.gameFunctions.getGameState()
+        mockSoundFetch()
+        document.body.innerHTML = `
+          <div id="loadingScreen" style="display: none">
+            <p id="loadingProgress">Ładowanie dźwięków... 0%</p>
+          </div>
+        `
         gameState.pollutions = [
           { pollution: 'car', sound_file: ['car.mp3'], amplitude: '50-70' },
           { pollution: 'train', sound_file: ['train.mp3'], amplitude: '60-80' }
         ]
+        gameState.selectedSounds = [...gameState.pollutions]
+
+        const loading = window.gameFunctions.preloadSounds()
+        expect(document.getElementById('loadingScreen').style.display).to.equal('flex')
+        await loading
+
+        expect(document.getElementById('loadingProgress').textContent).to.equal('Ładowanie dźwięków... 100%')
+        expect(document.getElementById('loadingScreen').style.display).to.equal('none')
+      })
+
+      it('should drop selected sounds that could not be loaded', async function () {
+        const gameState = window.gameFunctions.getGameState()
+        mockSoundFetch(['train.mp3'])
+        gameState.pollutions = [
+          { pollution: 'car', sound_file: ['car.mp3'], amplitude: '50-70' },
+          { pollution: 'train', sound_file: ['train.mp3'], amplitude: '60-80' }
+        ]
+        gameState.selectedSounds = [...gameState.pollutions]
+        const originalWarn = console.warn
+        const originalError = console.error
+        console.warn = () => {}
+        console.error = () => {}
+
         await window.gameFunctions.preloadSounds()
-        expect(gameState.preloadedSounds.size).to.equal(0) // No sounds should be preloaded due to errors
+        console.warn = originalWarn
+        console.error = originalError
+
+        expect(gameState.selectedSounds.map((sound) => sound.pollution)).to.deep.equal(['car'])
+      })
+
+      it("should replace a sound that failed to load and give it the recipients' effects", async function () {
+        const gameState = window.gameFunctions.getGameState()
+        mockSoundFetch(['train.mp3'])
+        gameState.pollutions = [
+          { pollution: 'car', sound_file: ['car.mp3'], amplitude: '50-70' },
+          { pollution: 'train', sound_file: ['train.mp3'], amplitude: '60-80' },
+          { pollution: 'plane', sound_file: ['plane.mp3'], amplitude: '70-90' }
+        ]
+        gameState.selectedSounds = gameState.pollutions.slice(0, 2)
+        gameState.selectedRecipients = [{ group: 'a', label: 'grupa A', risk_function: 'lowpass_filter' }]
+        window.gameFunctions.applyRiskFunctions()
+        const originalWarn = console.warn
+        const originalError = console.error
+        console.warn = () => {}
+        console.error = () => {}
 
-        // Restore original Audio
-        window.Audio = MockAudio
+        await window.gameFunctions.preloadSounds()
+        console.warn = originalWarn
+        console.error = originalError
+        window.gameFunctions.playRandomSounds()
+
+        expect(gameState.selectedSounds.map((sound) => sound.pollution)).to.deep.equal(['car', 'plane'])
+        gameState.activeVoices.forEach((voice) => {
+          expect(voice.sound.effects.map((effect) => effect.type)).to.deep.equal(['lowpass'])
+        })
+        expect(gameState.activeVoices).to.have.lengthOf(2)
+        window.gameFunctions.stopAllSounds()
       })
     })
 
     // Test multiple sound playback
     describe('Multiple Sound Playback', function () {
-      beforeEach(async function () {
-        // Mock immediate sound loading
-        const mockAudio = function () {
-          const audio = new MockAudio()
-          // Immediately trigger canplaythrough
-          setTimeout(() => {
-            if (audio.listeners.canplaythrough) {
-              audio.listeners.canplaythrough.forEach((cb) => cb())
-            }
-          }, 0)
-          return audio
-        }
-        window.Audio = mockAudio
-
+      beforeEach(function () {
         // Initialize game state with some test pollutions
         const gameState = window.gameFunctions.getGameState()
         gameState.pollutions = [
@@ -106,20 +205,14 @@ describe('Game Logic', function () {
           { pollution: 'plane', sound_file: ['plane.mp3'], amplitude: '70-90' }
         ]
 
-        // Preload sounds
-        await window.gameFunctions.preloadSounds()
-
-        // Restore original Audio
-        window.Audio = MockAudio
+        // Mock decoded sounds
+        gameState.pollutions.forEach((pollution) => {
+          gameState.preloadedSounds.set(pollution.pollution, createMockAudioBuffer())
+        })
       })
 
       it('should play multiple sounds simultaneously', function () {
         const gameState = window.gameFunctions.getGameState()
-        // Ensure we have preloaded sounds
-        const mockAudio1 = new MockAudio()
-        const mockAudio2 = new MockAudio()
-        gameState.preloadedSounds.set('car', mockAudio1)
-        gameState.preloadedSounds.set('train', mockAudio2)
 
         window.gameFunctions.playRandomSounds()
         expect(gameState.activeSounds.length).to.be.greaterThan(0)
@@ -132,7 +225,7 @@ describe('Game Logic', function () {
         const initialActiveSounds = gameState.activeSounds.length
         window.gameFunctions.stopAllSounds()
         expect(gameState.activeSounds.length).to.equal(0)
-        expect(gameState.soundElements.length).to.equal(0)
+        expect(gameState.activeVoices.length).to.equal(0)
       })
 
       it('should play all selected sounds simultaneously and loop them', async function () {
@@ -143,12 +236,6 @@ describe('Game Logic', function () {
           { pollution: 'train', sound_file: ['train.mp3'], amplitude: '60-80' }
         ]
 
-        // Mock preloaded sounds
-        const mockAudio1 = new MockAudio()
-        const mockAudio2 = new MockAudio()
-        gameState.preloadedSounds.set('car', mockAudio1)
-        gameState.preloadedSounds.set('train', mockAudio2)
-
         // Add sounds to selectedSounds
         gameState.selectedSounds = [
           { pollution: 'car', sound_file: ['car.mp3'], amplitude: '50-70' },
@@ -162,10 +249,12 @@ describe('Game Logic', function () {
         await new Promise((resolve) => setTimeout(resolve, 50))
 
         // Verify all sounds are playing and looping
-        expect(mockAudio1.loop).to.be.true
-        expect(mockAudio2.loop).to.be.true
-        expect(mockAudio1.paused).to.be.false
-        expect(mockAudio2.paused).to.be.false
+        expect(gameState.activeVoices).to.have.lengthOf(2)
+        gameState.activeVoices.forEach((voice) => {
+          expect(voice.source.loop).to.be.true
+          expect(voice.source.started).to.be.true
+          expect(voice.source.buffer).to.equal(gameState.preloadedSounds.get(voice.sound.pollution))
+        })
       })
     })
 
@@ -256,27 +345,60 @@ describe('Game Logic', function () {
     describe('Score Calculation', function () {
       it('should award points based on sound amplitude', function () {
         const sound = { pollution: 'car', sound_file: 'car.mp3', amplitude: '50-70' }
-        expect(calculatePoints(sound, true)).to.equal(50) // 100 - 50 = 50 points
+        expect(window.gameFunctions.calculatePoints(sound, true)).to.equal(50) // 100 - 50 = 50 points
       })
 
       it('should award minimum points for very loud sounds', function () {
         const sound = { pollution: 'plane', sound_file: 'plane.mp3', amplitude: '90-100' }
-        expect(calculatePoints(sound, true)).to.equal(10) // Minimum 10 points
+        expect(window.gameFunctions.calculatePoints(sound, true)).to.equal(10) // Minimum 10 points
       })
 
       it('should handle "up to X dB" amplitude format', function () {
         const sound = { pollution: 'sirens', sound_file: 'sirens.mp3', amplitude: 'up to 120 dB' }
-        expect(calculatePoints(sound, true)).to.equal(10) // Minimum 10 points for very loud sound
+        expect(window.gameFunctions.calculatePoints(sound, true)).to.equal(10) // Minimum 10 points for very loud sound
       })
 
       it('should handle "up to X dB" format with moderate sound level', function () {
         const sound = { pollution: 'motorcycles', sound_file: 'motorcycles.mp3', amplitude: 'up to 80 dB' }
-        expect(calculatePoints(sound, true)).to.equal(20) // 100 - 80 = 20 points
+        expect(window.gameFunctions.calculatePoints(sound, true)).to.equal(20) // 100 - 80 = 20 points
+      })
+
+      it('should award points based on the typical level of a structured amplitude', function () {
+        const sound = { pollution: 'car', amplitude: { min_db: 50, max_db: 90, typical_db: 65 } }
+        expect(window.gameFunctions.calculatePoints(sound, true)).to.equal(35) // 100 - 65 = 35 points
+      })
+
+      it('should read legacy amplitudes as the structured model', function () {
+        expect(window.gameFunctions.normalizeAmplitude('60-134 dB')).to.deep.equal({
+          min_db: 60,
+          max_db: 134,
+          typical_db: 60
+        })
+        expect(window.gameFunctions.normalizeAmplitude('up to 80 dB')).to.deep.equal({
+          min_db: 80,
+          max_db: 80,
+          typical_db: 80
+        })
+        expect(window.gameFunctions.normalizeAmplitude({ min_db: 40 })).to.deep.equal({
+          min_db: 40,
+          max_db: 40,
+          typical_db: 40
+        })
+        expect(window.gameFunctions.normalizeAmplitude({ max_db: 'loud' })).to.be.null
+        expect(window.gameFunctions.normalizeAmplitude(undefined)).to.be.null
+      })
+
+      it('should format amplitudes for the results screen', function () {
+        expect(window.gameFunctions.formatAmplitude({ min_db: 60, max_db: 134, typical_db: 80 })).to.equal(
+          '60-134 dB (typowo 80 dB)'
+        )
+        expect(window.gameFunctions.formatAmplitude('60-134 dB')).to.equal('60-134 dB')
+        expect(window.gameFunctions.formatAmplitude('up to 80 dB')).to.equal('80 dB')
       })
 
       it('should deduct points for incorrect guesses', function () {
         const sound = { pollution: 'car', sound_file: 'car.mp3', amplitude: '50-70' }
-        expect(calculatePoints(sound, false)).to.equal(-20)
+        expect(window.gameFunctions.calculatePoints(sound, false)).to.equal(-20)
       })
 
       it('should only award points once for multiple correct guesses on the same sound', function () {
@@ -301,6 +423,72 @@ describe('Game Logic', function () {
         expect(secondScore).to.equal(50) // Should remain the same
         expect(thirdScore).to.equal(50) // Should remain the same
       })
+
+      it('should add the difficulty bonus of every selected recipient to a correct guess', function () {
+        const gameState = window.gameFunctions.getGameState()
+        const sound = { pollution: 'car', sound_file: 'car.mp3', amplitude: '50-70' }
+        gameState.activeSounds = [sound]
+        gameState.selectedRecipients = [
+          { group: 'a', label: 'grupa A', difficulty_bonus: 0.2 },
+          { group: 'b', label: 'grupa B' }
+        ]
+
+        window.gameFunctions.makeGuess(sound)
+
+        expect(gameState.score).to.equal(60) // 50 + 20% of 50
+        expect(gameState.scoreBreakdown.map((item) => [item.type, item.points])).to.deep.equal([
+          ['correct', 50],
+          ['bonus', 10]
+        ])
+      })
+
+      it('should itemize correct guesses, bonuses and penalties', function () {
+        const items = window.gameFunctions.scoreGuess(
+          { pollution: 'car', amplitude: '50-70' },
+          true,
+          { multiplier: 1.5, recipients: [{ group: 'a', label: 'grupa A', difficulty_bonus: 0.5 }] }
+        )
+        const wrong = window.gameFunctions.scoreGuess({ pollution: 'train', amplitude: '60-80' }, false, {
+          multiplier: 1.5
+        })
+
+        expect(items.map((item) => item.points)).to.deep.equal([75, 38])
+        expect(wrong).to.deep.equal([{ type: 'wrong', sound: 'train', points: -20 }])
+        expect(window.gameFunctions.formatScoreItem(items[0])).to.equal('Rozpoznano car: 50 × 1.5 = +75 pkt')
+        expect(window.gameFunctions.formatScoreItem(items[1])).to.equal('Bonus (grupa A, +50%) za car: +38 pkt')
+        expect(window.gameFunctions.formatScoreItem(wrong[0])).to.equal('Błędna odpowiedź (train): -20 pkt')
+      })
+
+      it('should ignore an invalid difficulty bonus', function () {
+        const originalError = console.error
+        const errors = []
+        console.error = (...args) => errors.push(args.join(' '))
+
+        try {
+          expect(window.gameFunctions.getRecipientBonus({ group: 'a', difficulty_bonus: 'dużo' })).to.equal(0)
+          expect(window.gameFunctions.getRecipientBonus({ group: 'b', difficulty_bonus: -1 })).to.equal(0)
+          expect(window.gameFunctions.getRecipientBonus({ group: 'c', difficulty_bonus: 5 })).to.equal(1)
+        } finally {
+          console.error = originalError
+        }
+
+        expect(errors).to.have.lengthOf(2)
+      })
+
+      it('should list the score breakdown on the game over screen', function () {
+        document.body.innerHTML += '<ul id="scoreBreakdown"></ul>'
+        const gameState = window.gameFunctions.getGameState()
+        const car = { pollution: 'car', sound_file: 'car.mp3', amplitude: '50-70' }
+        gameState.activeSounds = [car]
+
+        window.gameFunctions.makeGuess(car)
+        window.gameFunctions.makeGuess({ pollution: 'train', sound_file: 'train.mp3', amplitude: '60-80' })
+        window.gameFunctions.renderScoreBreakdown()
+
+        const lines = [...document.querySelectorAll('#scoreBreakdown li')].map((li) => li.textContent)
+        expect(lines).to.deep.equal(['Runda 1: Rozpoznano car: +50 pkt', 'Runda 1: Błędna odpowiedź (train): -20 pkt'])
+        expect(gameState.score).to.equal(30)
+      })
     })
 
     // Test game state management
@@ -310,7 +498,7 @@ describe('Game Logic', function () {
         expect(gameState.score).to.equal(0)
         expect(gameState.timeRemaining).to.equal(30) // Updated to 30 seconds
         expect(gameState.activeSounds).to.be.an('array').that.is.empty
-        expect(gameState.soundElements).to.be.an('array').that.is.empty
+        expect(gameState.activeVoices).to.be.an('array').that.is.empty
         expect(gameState.preloadedSounds).to.be.instanceof(Map)
         expect(gameState.isLoading).to.be.false
       })
@@ -328,7 +516,7 @@ describe('Game Logic', function () {
 
         // Mock preloaded sounds
         gameState.pollutions.forEach((pollution) => {
-          gameState.preloadedSounds.set(pollution.pollution, new MockAudio())
+          gameState.preloadedSounds.set(pollution.pollution, createMockAudioBuffer())
         })
 
         // Initial sound selection
@@ -415,7 +603,7 @@ describe('Game Logic', function () {
     })
 
     describe('Time Adjustment', function () {
-      it('should decrease time by 10s and add 50 points', function () {
+      it('should decrease time by 10s and raise the multiplier without flat points', function () {
         const gameState = window.gameFunctions.getGameState()
         gameState.timeRemaining = 30
         gameState.score = 100
@@ -424,10 +612,11 @@ describe('Game Logic', function () {
         window.gameFunctions.adjustTime(-10)
 
         expect(gameState.timeRemaining).to.equal(initialTime - 10)
-        expect(gameState.score).to.equal(150) // 100 + 50 points
+        expect(gameState.pointsMultiplier).to.equal(1.5)
+        expect(gameState.score).to.equal(100)
       })
 
-      it('should increase time by 10s and subtract 25 points', function () {
+      it('should increase time by 10s and lower the multiplier without flat points', function () {
         const gameState = window.gameFunctions.getGameState()
         gameState.timeRemaining = 30
         gameState.score = 100
@@ -436,34 +625,34 @@ describe('Game Logic', function () {
         window.gameFunctions.adjustTime(10)
 
         expect(gameState.timeRemaining).to.equal(initialTime + 10)
-        expect(gameState.score).to.equal(75) // 100 - 25 points
+        expect(gameState.pointsMultiplier).to.equal(0.75)
+        expect(gameState.score).to.equal(100)
       })
 
       it('should not allow time adjustment below 10s', function () {
         const gameState = window.gameFunctions.getGameState()
         gameState.timeRemaining = 15
-        gameState.score = 100
 
         window.gameFunctions.adjustTime(-10)
 
         expect(gameState.timeRemaining).to.equal(10)
-        expect(gameState.score).to.equal(150) // 100 + 50 points
       })
 
-      it('should handle multiple time adjustments correctly', function () {
+      it('should score guesses with the multiplier of the last time adjustment', function () {
         const gameState = window.gameFunctions.getGameState()
+        const sound = { pollution: 'car', sound_file: 'car.mp3', amplitude: '50-70' }
         gameState.timeRemaining = 30
-        gameState.score = 100
+        gameState.score = 0
+        gameState.activeSounds = [sound]
 
-        // First adjustment: decrease time (-10s)
+        // First adjustment: decrease time (-10s), second: increase it back (+10s)
         window.gameFunctions.adjustTime(-10)
         expect(gameState.timeRemaining).to.equal(20)
-        expect(gameState.score).to.equal(150) // 100 + 50 points
-
-        // Second adjustment: increase time (+10s)
         window.gameFunctions.adjustTime(10)
         expect(gameState.timeRemaining).to.equal(30)
-        expect(gameState.score).to.equal(125) // 150 - 25 points
+
+        window.gameFunctions.makeGuess(sound)
+        expect(gameState.score).to.equal(38) // round(50 * 0.75)
       })
     })
 
@@ -548,14 +737,18 @@ describe('Game Logic', function () {
       const gameState = window.gameFunctions.getGameState()
 
       // Set up test sounds
-      const mockAudio = new MockAudio()
-      gameState.preloadedSounds.set('test', mockAudio)
-      gameState.soundElements = [{ element: mockAudio }]
+      const sound = { pollution: 'test', sound_file: 'test.mp3', amplitude: '50-70' }
+      gameState.preloadedSounds.set('test', createMockAudioBuffer())
+      window.gameFunctions.manageSoundElement(sound, true)
+      const [voice] = gameState.activeVoices
 
       // Start guessing phase
       window.gameFunctions.startGuessingPhase()
 
-      expect(mockAudio.paused).to.be.true
+      expect(voice.source.stopped).to.be.true
+      expect(gameState.activeVoices).to.be.empty
+      // The played sounds are still the answer key
+      expect(gameState.activeSounds).to.deep.equal([sound])
     })
 
     it('should set timer to 10 seconds during guessing phase', function () {
@@ -568,10 +761,11 @@ describe('Game Logic', function () {
       expect(timerElement.textContent).to.equal('10')
     })
 
-    it('should end game after guessing phase timer expires', function () {
+    it('should end game after guessing phase timer expires in the last round', function () {
       const gameState = window.gameFunctions.getGameState()
       const gamePlay = document.getElementById('gamePlay')
       const gameOver = document.getElementById('gameOver')
+      gameState.round = gameState.totalRounds
 
       // Start guessing phase
       window.gameFunctions.startGuessingPhase()
@@ -604,23 +798,20 @@ describe('Game Logic', function () {
     describe('stopAllSounds', function () {
       it('should stop all playing sounds and clear sound arrays', function () {
         const gameState = window.gameFunctions.getGameState()
-        const mockAudio1 = new MockAudio()
-        const mockAudio2 = new MockAudio()
-
-        gameState.soundElements = [{ element: mockAudio1 }, { element: mockAudio2 }]
-        gameState.activeSounds = [
-          { pollution: 'car', sound_file: 'car.mp3' },
-          { pollution: 'train', sound_file: 'train.mp3' }
-        ]
+        gameState.preloadedSounds.set('car', createMockAudioBuffer())
+        gameState.preloadedSounds.set('train', createMockAudioBuffer())
+        window.gameFunctions.manageSoundElement({ pollution: 'car', sound_file: 'car.mp3' }, true)
+        window.gameFunctions.manageSoundElement({ pollution: 'train', sound_file: 'train.mp3' }, true)
+        const voices = [...gameState.activeVoices]
 
         window.gameFunctions.stopAllSounds()
 
-        expect(mockAudio1.paused).to.be.true
-        expect(mockAudio2.paused).to.be.true
-        expect(mockAudio1.currentTime).to.equal(0)
-        expect(mockAudio2.currentTime).to.equal(0)
+        voices.forEach((voice) => {
+          expect(voice.source.stopped).to.be.true
+          expect(voice.source.connections).to.be.empty
+        })
         expect(gameState.activeSounds).to.be.empty
-        expect(gameState.soundElements).to.be.empty
+        expect(gameState.activeVoices).to.be.empty
       })
     })
 
@@ -795,7 +986,12 @@ describe('Game Logic', function () {
       window.gameFunctions.makeGuess({ pollution: 'car', sound_file: ['car.mp3'], amplitude: '50-70' })
       expect(gameState.score).to.be.greaterThan(0)
 
-      // End guessing phase
+      // End guessing phase of the first round
+      window.gameFunctions.endGuessingPhase()
+      expect(document.getElementById('gameOver').style.display).to.equal('none')
+
+      // Finish the campaign
+      gameState.round = gameState.totalRounds
       window.gameFunctions.endGuessingPhase()
       expect(document.getElementById('gameOver').style.display).to.equal('block')
 
@@ -806,6 +1002,1019 @@ describe('Game Logic', function () {
     })
   })
 
+  describe('Campaign', function () {
+    let originalFetch
+
+    beforeEach(function () {
+      window.gameFunctions.resetGameState()
+      document.body.innerHTML = `
+      <div class="game-container">
+        <div id="gameControls"></div>
+        <div id="gamePlay" style="display: none">
+          <p>Runda <span id="roundNumber">1</span>/<span id="roundTotal">3</span></p>
+          <div class="sound-grid" style="display: none"></div>
+          <button id="applyGuess" style="display: none">Apply Guess</button>
+        </div>
+        <div id="roundSummary" style="display: none">
+          <span id="roundSummaryNumber"></span>
+          <span id="roundSummaryCorrect"></span>
+          <ul id="roundSummaryResults"></ul>
+          <span id="roundScore"></span>
+          <span id="roundTotalScore"></span>
+          <p id="nextRoundInfo"></p>
+        </div>
+        <div id="gameOver" style="display: none">
+          <span id="finalScore">0</span>
+          <div id="roundResults"></div>
+          <ol id="roundProgression"></ol>
+        </div>
+      </div>
+    `
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = [
+        { pollution: 'car', sound_file: 'car.mp3', amplitude: '50-70' },
+        { pollution: 'train', sound_file: 'train.mp3', amplitude: '60-80' },
+        {
+          pollution: 'plane',
+          sound_file: 'plane.mp3',
+          amplitude: '70-90',
+          frequency: 'zmienna',
+          affects: ['ptaki', 'dzika przyroda']
+        },
+        { pollution: 'river', sound_file: 'river.mp3', amplitude: '40-80' },
+        { pollution: 'crowd', sound_file: 'crowd.mp3', amplitude: '60-100' },
+        { pollution: 'bee', sound_file: 'bee.mp3', amplitude: '30-80' }
+      ]
+
+      // Every sound file decodes instantly
+      originalFetch = window.fetch
+      window.fetch = () =>
+        Promise.resolve({ ok: true, status: 200, arrayBuffer: () => Promise.resolve(new ArrayBuffer(1)) })
+    })
+
+    afterEach(function () {
+      window.fetch = originalFetch
+      const gameState = window.gameFunctions.getGameState()
+      clearInterval(gameState.gameInterval)
+      clearInterval(gameState.guessingInterval)
+      window.gameFunctions.stopAllSounds()
+    })
+
+    it('should add sounds and shorten listening time every round', function () {
+      const rounds = [1, 2, 3, 4, 5, 6, 7].map((round) => window.gameFunctions.getRoundSettings(round))
+
+      for (let i = 1; i < rounds.length; i++) {
+        expect(rounds[i].soundCount).to.be.at.least(rounds[i - 1].soundCount)
+        expect(rounds[i].listeningTime).to.be.at.most(rounds[i - 1].listeningTime)
+      }
+      expect(rounds[1].soundCount).to.be.greaterThan(rounds[0].soundCount)
+      expect(rounds[1].listeningTime).to.be.lessThan(rounds[0].listeningTime)
+      expect(rounds[6].soundCount).to.equal(5)
+      expect(rounds[6].listeningTime).to.be.at.least(10)
+    })
+
+    it('should select as many sounds as the round asks for', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.round = 3
+
+      window.gameFunctions.applyRiskFunctions()
+
+      expect(gameState.selectedSounds).to.have.lengthOf(window.gameFunctions.getRoundSettings(3).soundCount)
+    })
+
+    it('should show a round summary and carry the score over', async function () {
+      const gameState = window.gameFunctions.getGameState()
+      await window.gameFunctions.startGame()
+      const [sound] = gameState.selectedSounds
+      gameState.activeSounds = [...gameState.selectedSounds]
+
+      window.gameFunctions.makeGuess(sound)
+      const firstRoundScore = gameState.score
+      window.gameFunctions.endGuessingPhase()
+
+      expect(document.getElementById('roundSummary').style.display).to.equal('block')
+      expect(document.getElementById('gameOver').style.display).to.equal('none')
+      expect(document.getElementById('roundScore').textContent).to.equal(String(firstRoundScore))
+      expect(document.getElementById('roundSummaryCorrect').textContent).to.equal('1 z 1')
+      expect(document.getElementById('nextRoundInfo').textContent).to.include('25 s')
+
+      await window.gameFunctions.nextRound()
+
+      expect(gameState.round).to.equal(2)
+      expect(gameState.score).to.equal(firstRoundScore)
+      expect(gameState.timeRemaining).to.equal(25)
+      expect(gameState.selectedSounds).to.have.lengthOf(2)
+      expect(gameState.guessedSounds.size).to.equal(0)
+      expect(document.getElementById('roundNumber').textContent).to.equal('2')
+      expect(document.getElementById('roundSummary').style.display).to.equal('none')
+    })
+
+    it('should decode only the sounds each round plays', async function () {
+      const gameState = window.gameFunctions.getGameState()
+      const requests = []
+      window.fetch = (url) => {
+        requests.push(url)
+        return Promise.resolve({ ok: true, status: 200, arrayBuffer: () => Promise.resolve(new ArrayBuffer(1)) })
+      }
+
+      await window.gameFunctions.startGame()
+      clearInterval(gameState.gameInterval)
+      const firstRound = gameState.selectedSounds.map((sound) => sound.sound_file)
+      expect(requests).to.have.members(firstRound)
+
+      window.gameFunctions.endGuessingPhase()
+      requests.length = 0
+      await window.gameFunctions.nextRound()
+
+      // Files shared with the previous round come from the cache
+      const secondRound = gameState.selectedSounds.map((sound) => sound.sound_file)
+      expect(requests).to.have.members(secondRound.filter((soundFile) => !firstRound.includes(soundFile)))
+      expect([...gameState.preloadedSounds.keys()]).to.have.members(
+        gameState.selectedSounds.map((sound) => sound.pollution)
+      )
+    })
+
+    it('should show the progression of all rounds on the final screen', async function () {
+      const gameState = window.gameFunctions.getGameState()
+      await window.gameFunctions.startGame()
+
+      for (let round = 1; round <= gameState.totalRounds; round++) {
+        clearInterval(gameState.gameInterval)
+        if (round > 1) {
+          await window.gameFunctions.nextRound()
+          clearInterval(gameState.gameInterval)
+        }
+        gameState.score += 10
+        window.gameFunctions.endGuessingPhase()
+      }
+
+      expect(document.getElementById('gameOver').style.display).to.equal('block')
+      expect(gameState.roundResults.map((result) => result.totalScore)).to.deep.equal([10, 20, 30])
+      expect(gameState.roundResults.map((result) => result.soundCount)).to.deep.equal([1, 2, 3])
+      const items = document.querySelectorAll('#roundProgression li')
+      expect(items).to.have.lengthOf(gameState.totalRounds)
+      expect(items[2].textContent).to.include('Runda 3')
+    })
+
+    it('should itemize found, missed and wrongly pressed sounds of a round', function () {
+      const gameState = window.gameFunctions.getGameState()
+      const [car, train, plane] = gameState.pollutions
+      gameState.selectedSounds = [car, train].map(window.gameFunctions.createSessionSound)
+      gameState.activeSounds = [...gameState.selectedSounds]
+
+      window.gameFunctions.makeGuess(car)
+      window.gameFunctions.makeGuess(plane)
+      window.gameFunctions.makeGuess(plane)
+      const details = window.gameFunctions.collectRoundDetails(1)
+
+      expect(details.played.map(({ sound, found, points }) => [sound.pollution, found, points])).to.deep.equal([
+        ['car', true, 50],
+        ['train', false, 0]
+      ])
+      expect(details.falsePositives).to.have.lengthOf(1)
+      expect(details.falsePositives[0].sound).to.equal(plane)
+      expect(details.falsePositives[0].presses).to.equal(2)
+      expect(details.falsePositives[0].points).to.equal(-40)
+    })
+
+    it('should list every sound with its facts in the round summary', function () {
+      const gameState = window.gameFunctions.getGameState()
+      const [car, , plane] = gameState.pollutions
+      gameState.selectedSounds = [window.gameFunctions.createSessionSound(plane)]
+      gameState.activeSounds = [...gameState.selectedSounds]
+
+      window.gameFunctions.makeGuess(plane)
+      window.gameFunctions.makeGuess(car)
+      window.gameFunctions.endGuessingPhase()
+
+      const items = document.querySelectorAll('#roundSummaryResults .sound-result')
+      expect(items).to.have.lengthOf(2)
+      expect(items[0].classList.contains('sound-result-found')).to.be.true
+      expect(items[0].querySelector('.sound-result-points').textContent).to.equal('+30 pkt')
+      expect(items[0].querySelector('.sound-result-facts').textContent).to.include('70-90')
+      expect(items[0].querySelector('.sound-result-facts').textContent).to.include('ptaki, dzika przyroda')
+      expect(items[1].classList.contains('sound-result-false-positive')).to.be.true
+      expect(items[1].querySelector('.sound-result-points').textContent).to.equal('-20 pkt')
+    })
+
+    it('should show the itemized results of every round on the final screen', async function () {
+      const gameState = window.gameFunctions.getGameState()
+      await window.gameFunctions.startGame()
+
+      for (let round = 1; round <= gameState.totalRounds; round++) {
+        clearInterval(gameState.gameInterval)
+        if (round > 1) {
+          await window.gameFunctions.nextRound()
+          clearInterval(gameState.gameInterval)
+        }
+        window.gameFunctions.endGuessingPhase()
+      }
+
+      const sections = document.querySelectorAll('#roundResults .round-results-section')
+      expect(sections).to.have.lengthOf(gameState.totalRounds)
+      expect(sections[2].querySelectorAll('.sound-result-missed')).to.have.lengthOf(3)
+    })
+
+    it('should replay a sound as original or as the recipient, one preview at a time', function () {
+      const gameState = window.gameFunctions.getGameState()
+      const [car] = gameState.pollutions
+      const sound = window.gameFunctions.createSessionSound(car)
+      sound.effects.push({ type: 'lowpass', frequency: 500 })
+      gameState.selectedSounds = [sound]
+      gameState.preloadedSounds.set('car', createMockAudioBuffer())
+      window.gameFunctions.endGuessingPhase()
+
+      const [original, asRecipient] = document.querySelectorAll('#roundSummaryResults .preview-button')
+      asRecipient.click()
+      const recipientVoice = gameState.preview.voice
+      expect(recipientVoice.effectChain.effects.map((effect) => effect.type)).to.deep.equal(['gain', 'lowpass'])
+      expect(asRecipient.getAttribute('aria-pressed')).to.equal('true')
+
+      original.click()
+      expect(recipientVoice.source.stopped).to.be.true
+      expect(asRecipient.getAttribute('aria-pressed')).to.equal('false')
+      expect(gameState.preview.voice.sound).to.equal(car)
+      expect(gameState.preview.voice.effectChain.effects.map((effect) => effect.type)).to.deep.equal(['gain'])
+
+      // Pressing the playing button again stops it
+      original.click()
+      expect(gameState.preview).to.be.null
+      expect(gameState.activeVoices).to.be.empty
+    })
+
+    it('should replay the recording of the round with the overlays and layers the recipients heard', function () {
+      const gameState = window.gameFunctions.getGameState()
+      const [car] = gameState.pollutions
+      const roundBuffer = createMockAudioBuffer()
+      gameState.selectedSounds = [
+        window.gameFunctions.createSessionSound(car),
+        window.gameFunctions.createDistortedSongSound([car])
+      ]
+      gameState.backgroundLayers = [window.gameFunctions.createTinnitusLayer()]
+      gameState.preloadedSounds.set('car', roundBuffer)
+      gameState.preloadedSounds.set(BIRDSONG_DEFAULTS.name, createMockAudioBuffer())
+      window.gameFunctions.endGuessingPhase()
+
+      // A later game decodes another variant of the sound
+      gameState.preloadedSounds.set('car', createMockAudioBuffer())
+      const [original, asRecipient] = document.querySelectorAll('#roundSummaryResults .preview-button')
+
+      original.click()
+      expect(gameState.preview.voice.source.buffer).to.equal(roundBuffer)
+      expect(gameState.preview.overlays).to.be.empty
+
+      asRecipient.click()
+      expect(gameState.preview.voice.source.buffer).to.equal(roundBuffer)
+      expect(gameState.preview.overlays.map((voice) => voice.sound.pollution)).to.deep.equal([BIRDSONG_DEFAULTS.name])
+      expect(gameState.preview.layers).to.have.lengthOf(1)
+      const [tone] = gameState.preview.layers[0].sources
+      expect(tone.started).to.be.true
+
+      asRecipient.click()
+      expect(tone.stopped).to.be.true
+    })
+
+    it('should not offer a recipient version that sounds like the original', function () {
+      const gameState = window.gameFunctions.getGameState()
+      const [car] = gameState.pollutions
+      gameState.selectedSounds = [window.gameFunctions.createSessionSound(car)]
+      gameState.preloadedSounds.set('car', createMockAudioBuffer())
+      window.gameFunctions.endGuessingPhase()
+
+      const [original, asRecipient] = document.querySelectorAll('#roundSummaryResults .preview-button')
+      expect(original.disabled).to.be.false
+      expect(asRecipient.disabled).to.be.true
+    })
+
+    it('should stop the preview when the game is reset', function () {
+      const gameState = window.gameFunctions.getGameState()
+      const [car, train] = gameState.pollutions
+      gameState.selectedSounds = [window.gameFunctions.createSessionSound(car)]
+      gameState.activeSounds = [...gameState.selectedSounds]
+      gameState.preloadedSounds.set('train', createMockAudioBuffer())
+      window.gameFunctions.makeGuess(train)
+      window.gameFunctions.endGuessingPhase()
+
+      // Car failed to load, train was only pressed by mistake: just its original can be played
+      const buttons = document.querySelectorAll('#roundSummaryResults .preview-button')
+      expect(buttons).to.have.lengthOf(3)
+      expect(buttons[0].disabled).to.be.true
+      buttons[2].click()
+      const voice = gameState.preview.voice
+
+      window.gameFunctions.resetGame()
+
+      expect(voice.source.stopped).to.be.true
+      expect(gameState.preview).to.be.null
+    })
+
+    it('should start a new campaign after reset', async function () {
+      const gameState = window.gameFunctions.getGameState()
+      await window.gameFunctions.startGame()
+      window.gameFunctions.endGuessingPhase()
+      await window.gameFunctions.nextRound()
+
+      window.gameFunctions.resetGame()
+
+      expect(gameState.round).to.equal(1)
+      expect(gameState.roundResults).to.be.empty
+    })
+
+    it('should replay the same rounds from a challenge code', async function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.catalogue = gameState.pollutions
+      gameState.recipients = [
+        { group: 'seniorzy', label: 'osoba starsza', risk_function: 'lowpass_filter' },
+        { group: 'nietoperze', label: 'nietoperz', risk_function: 'highpass_filter' }
+      ]
+      gameState.selectedRecipients = [gameState.recipients[1]]
+      // The first player came through a classroom link
+      window.gameFunctions.applyUrlConfig({
+        pool: gameState.catalogue.slice(1, 5),
+        rounds: 2,
+        listeningTime: 40,
+        guessingTime: 5
+      })
+      const playCampaign = async () => {
+        const rounds = []
+        await window.gameFunctions.startGame()
+        for (let round = 1; round <= gameState.totalRounds; round++) {
+          rounds.push(gameState.selectedSounds.map((sound) => sound.pollution))
+          window.gameFunctions.endGuessingPhase()
+          if (round < gameState.totalRounds) await window.gameFunctions.nextRound()
+        }
+        return rounds
+      }
+
+      const original = await playCampaign()
+      const code = window.gameFunctions.encodeChallengeCode(gameState.seed, gameState.selectedRecipients)
+      expect(window.location.hash).to.equal(`#challenge=${code}`)
+      window.gameFunctions.resetGame()
+      // The second one opens the game without it
+      gameState.pollutions = gameState.catalogue
+      gameState.totalRounds = 3
+      gameState.config = window.gameFunctions.createDefaultConfig()
+
+      expect(window.gameFunctions.applyChallengeCode(code.toLowerCase())).to.be.true
+      expect(gameState.selectedRecipients.map((recipient) => recipient.group)).to.deep.equal(['nietoperze'])
+      expect(gameState.totalRounds).to.equal(2)
+      expect(gameState.config).to.include({ listeningTime: 40, guessingTime: 5 })
+      expect(await playCampaign()).to.deep.equal(original)
+    })
+  })
+
+  describe('Health Risks', function () {
+    const affected = [
+      { group: 'osoby starsze', risk: ['pogorszenie słuchu', 'zaburzenia snu'], affects: [] },
+      { group: 'ptaki', risk: ['zakłócenie komunikacji'], affects: ['ptaki', 'dzika przyroda'] },
+      { group: 'ssaki lądowe', risk: ['reakcje stresowe'], affects: ['dzika przyroda'] }
+    ]
+    const seniors = { group: 'seniorzy', label: 'osoba starsza', affected: ['osoby starsze'] }
+    const birds = { group: 'ptaki_miejskie', label: 'ptaki w środowisku miejskim', affected: ['ptaki'] }
+    const sounds = [
+      { pollution: 'samolot', affects: ['ludzie mieszkający w pobliżu lotnisk', 'ptaki'] },
+      { pollution: 'cykady', affects: ['dzika przyroda'] }
+    ]
+
+    beforeEach(function () {
+      window.gameFunctions.resetGameState()
+    })
+
+    it('should list the risks of the selected recipients with the sounds that affect them', function () {
+      const risks = window.gameFunctions.getHealthRisks(sounds, [seniors, birds], affected)
+
+      expect(risks).to.deep.equal([
+        { group: 'osoby starsze', risk: affected[0].risk, recipients: ['osoba starsza'], sounds: [] },
+        {
+          group: 'ptaki',
+          risk: affected[1].risk,
+          recipients: ['ptaki w środowisku miejskim'],
+          sounds: ['samolot', 'cykady']
+        }
+      ])
+    })
+
+    it('should list the risks of the played sounds without recipients', function () {
+      const risks = window.gameFunctions.getHealthRisks(sounds, [], affected)
+
+      expect(risks.map((risk) => risk.group)).to.deep.equal(['ptaki', 'ssaki lądowe'])
+      expect(risks[1].sounds).to.deep.equal(['cykady'])
+    })
+
+    it('should fall back to the risks of the played sounds for recipients without records', function () {
+      const blind = { group: 'niewidomi', label: 'osoba niewidoma', affected: [] }
+
+      const risks = window.gameFunctions.getHealthRisks(sounds, [blind], affected)
+
+      expect(risks.map((risk) => risk.group)).to.deep.equal(['ptaki', 'ssaki lądowe'])
+      expect(risks[0].recipients).to.be.empty
+    })
+
+    it('should explain the risks on the game over screen', function () {
+      document.body.innerHTML = '<ul id="healthRisks"></ul>'
+      const gameState = window.gameFunctions.getGameState()
+      gameState.affected = affected
+      gameState.pollutions = sounds
+      gameState.selectedRecipients = [birds]
+      gameState.roundResults = [{ sounds: ['samolot'] }, { sounds: ['samolot', 'cykady'] }]
+
+      window.gameFunctions.renderHealthRisks()
+
+      const items = document.querySelectorAll('#healthRisks .health-risk')
+      expect(items).to.have.lengthOf(1)
+      expect(items[0].textContent).to.equal(
+        'ptaki (jako ptaki w środowisku miejskim; dźwięki: samolot i cykady): zakłócenie komunikacji'
+      )
+    })
+
+    it('should only point at health-impact records that exist', async function () {
+      const [recipients, records] = await Promise.all(
+        ['../components/recipients.json', '../data/affected.json'].map((file) =>
+          fetch(file).then((response) => response.json())
+        )
+      )
+      const groups = records.map((record) => record.group)
+
+      recipients.forEach((recipient) => {
+        ;(recipient.affected || []).forEach((group) => expect(groups, recipient.group).to.include(group))
+      })
+    })
+
+    it('should describe the risks of everyone the shipped sounds affect', async function () {
+      const [pollutions, records] = await Promise.all(
+        ['../components/pollutions.json', '../data/affected.json'].map((file) =>
+          fetch(file).then((response) => response.json())
+        )
+      )
+      const labels = records.flatMap((record) => record.affects || [])
+
+      pollutions.forEach((sound) => {
+        ;(sound.affects || []).forEach((label) => expect(labels, sound.pollution).to.include(label))
+      })
+    })
+  })
+
+  describe('URL Configuration', function () {
+    const recipients = [
+      { group: 'seniorzy', label: 'osoba starsza', description: 'opis', risk_function: 'lowpass_filter' },
+      { group: 'niewidomi', label: 'osoba niewidoma', description: 'opis', risk_function: 'reverbation' }
+    ]
+    const pollutions = [{ pollution: 'kolej' }, { pollution: 'samolot' }, { pollution: 'lot pszczoły' }]
+    let originalError
+    let errors
+
+    beforeEach(function () {
+      window.gameFunctions.resetGameState()
+      const gameState = window.gameFunctions.getGameState()
+      gameState.recipients = recipients
+      gameState.pollutions = pollutions
+      originalError = console.error
+      errors = []
+      console.error = (message) => errors.push(message)
+    })
+
+    afterEach(function () {
+      console.error = originalError
+    })
+
+    it('should read recipients, times, rounds, sound pool and lock from the query string', function () {
+      const config = window.gameFunctions.parseUrlConfig(
+        '?recipients=seniorzy,niewidomi&listen=40&guess=100&rounds=2&pool=kolej,lot+pszczoły&lock=1'
+      )
+
+      expect(config.recipients).to.deep.equal(recipients)
+      expect(config.listeningTime).to.equal(40)
+      expect(config.guessingTime).to.equal(10)
+      expect(config.rounds).to.equal(2)
+      expect(config.pool.map((sound) => sound.pollution)).to.deep.equal(['kolej', 'lot pszczoły'])
+      expect(config.locked).to.be.true
+      expect(errors).to.be.empty
+    })
+
+    it('should keep the guessing time within the documented 3-10 seconds', function () {
+      expect(window.gameFunctions.parseUrlConfig('?guess=1').guessingTime).to.equal(3)
+      expect(window.gameFunctions.parseUrlConfig('?guess=10').guessingTime).to.equal(10)
+      expect(window.gameFunctions.parseUrlConfig('?guess=11').guessingTime).to.equal(10)
+    })
+
+    it('should skip and report invalid values', function () {
+      const config = window.gameFunctions.parseUrlConfig('?recipients=seniorzy,kosmici&listen=długo&pool=tramwaj')
+
+      expect(config.recipients).to.deep.equal([recipients[0]])
+      expect(config).to.not.have.property('listeningTime')
+      expect(config).to.not.have.property('pool')
+      expect(errors).to.have.lengthOf(4)
+      expect(window.gameFunctions.parseUrlConfig('')).to.deep.equal({})
+    })
+
+    it('should preset the game and lock the settings', function () {
+      document.body.innerHTML = `
+      <h2>Będę słuchać jako <span id="selectedRecipients"></span></h2>
+      <div id="recipientCheckboxes"></div>
+      <input id="adaptiveMode" type="checkbox" />
+      <p id="settingsLocked" style="display: none"></p>
+    `
+      const gameState = window.gameFunctions.getGameState()
+
+      window.gameFunctions.applyUrlConfig(
+        window.gameFunctions.parseUrlConfig('?recipients=niewidomi&listen=40&guess=5&rounds=2&pool=kolej&lock=1')
+      )
+      window.gameFunctions.createRecipientSelection()
+
+      const checkboxes = document.querySelectorAll('#recipientCheckboxes input[type="checkbox"]')
+      expect([...checkboxes].map((checkbox) => checkbox.checked)).to.deep.equal([false, true])
+      expect([...checkboxes].every((checkbox) => checkbox.disabled)).to.be.true
+      expect(document.getElementById('adaptiveMode').disabled).to.be.true
+      expect(document.getElementById('settingsLocked').style.display).to.equal('block')
+      expect(gameState.pollutions.map((sound) => sound.pollution)).to.deep.equal(['kolej'])
+      expect(gameState.totalRounds).to.equal(2)
+      expect(window.gameFunctions.getRoundSettings(1)).to.include({ listeningTime: 40, guessingTime: 5 })
+
+      gameState.timeRemaining = 40
+      window.gameFunctions.adjustTime(-10)
+      expect(gameState.timeRemaining).to.equal(40)
+
+      window.gameFunctions.resetGame()
+      expect(gameState.selectedRecipients).to.deep.equal([recipients[1]])
+      expect(gameState.timeRemaining).to.equal(40)
+    })
+  })
+
+  describe('Challenge Codes', function () {
+    const recipients = [{ group: 'seniorzy' }, { group: 'nietoperze' }, { group: 'dzieci' }]
+
+    beforeEach(function () {
+      window.gameFunctions.resetGameState()
+      window.gameFunctions.getGameState().pollutions = ['car', 'train', 'plane', 'river', 'crowd'].map((pollution) => ({
+        pollution
+      }))
+    })
+
+    it('should pick the same sounds for the same seed', function () {
+      const pick = (seed) => {
+        window.gameFunctions.setGameSeed(seed)
+        return window.gameFunctions.selectRandomSounds(3).map((sound) => sound.pollution)
+      }
+
+      expect(pick(1234)).to.deep.equal(pick(1234))
+      expect(pick(1)).to.not.deep.equal(pick(2))
+    })
+
+    it('should encode the seed and the selected recipients', function () {
+      const code = window.gameFunctions.encodeChallengeCode(4294967295, [recipients[0], recipients[2]], recipients)
+
+      expect(code).to.equal('1Z141Z3-5')
+      const challenge = window.gameFunctions.decodeChallengeCode(code, recipients)
+      expect(challenge.seed).to.equal(4294967295)
+      expect(challenge.recipients.map((recipient) => recipient.group)).to.deep.equal(['seniorzy', 'dzieci'])
+    })
+
+    it('should carry the settings of a classroom link', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.catalogue = gameState.pollutions
+      const [car, , plane] = gameState.catalogue
+      const settings = { listeningTime: 40, guessingTime: 5, rounds: 2, pool: [car, plane] }
+
+      const code = window.gameFunctions.encodeChallengeCode(4294967295, [recipients[0]], recipients, settings)
+
+      expect(code).to.equal('1Z141Z3-1-14-5-2-5')
+      expect(window.gameFunctions.decodeChallengeCode(code, recipients).settings).to.deep.equal(settings)
+      expect(window.gameFunctions.decodeChallengeCode('1Z141Z3-1', recipients).settings).to.deep.equal({
+        listeningTime: 30,
+        guessingTime: 10,
+        rounds: 3,
+        pool: gameState.catalogue
+      })
+      // Rounds above the link's maximum, guessing time below its minimum, empty pool
+      ;['1Z141Z3-1-14-5-B-5', '1Z141Z3-1-14-2-2-5', '1Z141Z3-1-14-5-2-0', '1Z141Z3-1-14-5-2'].forEach((invalid) => {
+        expect(window.gameFunctions.decodeChallengeCode(invalid, recipients), invalid).to.be.null
+      })
+    })
+
+    it('should reject malformed codes', function () {
+      ;['', 'abc', '1Z141Z3', '1Z141Z4-1', 'ab-8', 'a b-1'].forEach((code) => {
+        expect(window.gameFunctions.decodeChallengeCode(code, recipients), code).to.be.null
+      })
+      document.body.innerHTML = '<p id="challengeStatus"></p>'
+      expect(window.gameFunctions.applyChallengeCode('???')).to.be.false
+      expect(document.getElementById('challengeStatus').textContent).to.equal('Nieprawidłowy kod wyzwania')
+    })
+  })
+
+  describe('A/B Comparison', function () {
+    let originalFetch
+
+    beforeEach(function () {
+      window.gameFunctions.resetGameState()
+      window.AudioContext = MockAudioContext
+      document.body.innerHTML = `
+      <div id="gameControls">
+        <button id="compareMix" aria-pressed="false"></button>
+        <input id="comparisonMix" type="range" min="0" max="100" value="0" />
+        <p id="comparisonStatus"></p>
+      </div>
+    `
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = [
+        { pollution: 'car', sound_file: 'car.mp3', amplitude: '50-70', is_antropo: true },
+        { pollution: 'train', sound_file: 'train.mp3', amplitude: '60-80', is_antropo: true },
+        { pollution: 'river', sound_file: 'river.mp3', amplitude: '40-80', is_antropo: false }
+      ]
+      gameState.selectedRecipients = [{ group: 'seniorzy', label: 'osoba starsza', risk_function: 'lowpass_filter' }]
+
+      // Every sound file decodes instantly
+      originalFetch = window.fetch
+      window.fetch = () =>
+        Promise.resolve({ ok: true, status: 200, arrayBuffer: () => Promise.resolve(new ArrayBuffer(1)) })
+    })
+
+    afterEach(function () {
+      window.fetch = originalFetch
+      window.gameFunctions.stopComparison()
+    })
+
+    it('should ask for a recipient before comparing', async function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.selectedRecipients = []
+
+      await window.gameFunctions.startComparison()
+
+      expect(gameState.comparison).to.be.null
+      expect(document.getElementById('comparisonStatus').textContent).to.include('Wybierz')
+    })
+
+    it('should play every sound through an unprocessed and a processed chain', async function () {
+      const gameState = window.gameFunctions.getGameState()
+
+      await window.gameFunctions.startComparison()
+
+      const { buses, voices } = gameState.comparison
+      expect(voices).to.have.lengthOf(3)
+      voices.forEach(({ source, chains }) => {
+        expect(source.started).to.be.true
+        expect(chains).to.have.lengthOf(2)
+      })
+      const [recipientChain, typicalChain] = voices[0].chains
+      expect(recipientChain.effects.map((effect) => effect.type)).to.include('lowpass')
+      expect(typicalChain.effects.map((effect) => effect.type)).to.deep.equal(['gain'])
+      expect(buses.typical.gain.value).to.equal(1)
+      expect(buses.recipient.gain.value).to.be.closeTo(0, 1e-9)
+      expect(document.getElementById('compareMix').getAttribute('aria-pressed')).to.equal('true')
+    })
+
+    it('should crossfade with equal power and flip to the far side', async function () {
+      const gameState = window.gameFunctions.getGameState()
+      await window.gameFunctions.startComparison()
+      const { buses } = gameState.comparison
+
+      window.gameFunctions.setComparisonMix(0.5)
+      expect(buses.typical.gain.value).to.be.closeTo(Math.SQRT1_2, 1e-9)
+      expect(buses.recipient.gain.value).to.be.closeTo(Math.SQRT1_2, 1e-9)
+      expect(document.getElementById('comparisonMix').value).to.equal('50')
+
+      window.gameFunctions.setComparisonMix(0.2)
+      window.gameFunctions.flipComparison()
+      expect(gameState.comparisonMix).to.equal(1)
+      expect(buses.recipient.gain.value).to.equal(1)
+      expect(document.getElementById('comparisonStatus').textContent).to.include('osoba starsza')
+
+      window.gameFunctions.flipComparison()
+      expect(gameState.comparisonMix).to.equal(0)
+      expect(buses.typical.gain.value).to.equal(1)
+    })
+
+    it('should start a single comparison when toggled again while loading', async function () {
+      const gameState = window.gameFunctions.getGameState()
+
+      const first = window.gameFunctions.toggleComparison()
+      const second = window.gameFunctions.toggleComparison()
+      await Promise.all([first, second])
+      expect(gameState.comparison).to.be.null
+
+      await Promise.all([window.gameFunctions.toggleComparison(), window.gameFunctions.startComparison()])
+      expect(gameState.comparison.voices).to.have.lengthOf(3)
+      expect(gameState.comparisonPending).to.be.null
+    })
+
+    it('should drop a loading comparison when the game takes over', async function () {
+      const gameState = window.gameFunctions.getGameState()
+
+      const loading = window.gameFunctions.startComparison()
+      window.gameFunctions.stopComparison()
+      const gameSounds = [window.gameFunctions.createSessionSound(gameState.pollutions[0])]
+      gameState.selectedSounds = gameSounds
+      await loading
+
+      expect(gameState.comparison).to.be.null
+      expect(gameState.selectedSounds).to.equal(gameSounds)
+    })
+
+    it('should leave the timers alone for recipients with shorter time', async function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.selectedRecipients = [{ group: 'adhd', label: 'osoba z ADHD', risk_function: 'reduced_time' }]
+      gameState.timeRemaining = 30
+      gameState.guessingTimeRemaining = 10
+
+      await window.gameFunctions.startComparison()
+
+      expect(gameState.comparison).to.not.be.null
+      expect(gameState.timeRemaining).to.equal(30)
+      expect(gameState.guessingTimeRemaining).to.equal(10)
+    })
+
+    it('should flip with the B key except while typing', async function () {
+      const gameState = window.gameFunctions.getGameState()
+      document.getElementById('gameControls').insertAdjacentHTML('beforeend', '<input id="challengeInput" />')
+      await window.gameFunctions.startComparison()
+
+      window.gameFunctions.handleShortcutKey({ key: 'b', target: document.getElementById('challengeInput') })
+      expect(gameState.comparisonMix).to.equal(0)
+
+      window.gameFunctions.handleShortcutKey({ key: 'B', target: document.body })
+      expect(gameState.comparisonMix).to.equal(1)
+    })
+
+    it('should stop the comparison and forget its mix when the game starts', async function () {
+      const gameState = window.gameFunctions.getGameState()
+      await window.gameFunctions.startComparison()
+      const { voices } = gameState.comparison
+
+      window.gameFunctions.stopComparison()
+
+      expect(voices.every(({ source }) => source.stopped)).to.be.true
+      expect(gameState.comparison).to.be.null
+      expect(gameState.selectedSounds).to.be.empty
+      expect(document.getElementById('compareMix').getAttribute('aria-pressed')).to.equal('false')
+    })
+  })
+
+  describe('Audio Engine', function () {
+    beforeEach(function () {
+      window.gameFunctions.resetGameState()
+      window.AudioContext = MockAudioContext
+    })
+
+    afterEach(function () {
+      window.gameFunctions.stopAllSounds()
+    })
+
+    it('should share a single AudioContext between all sounds', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.preloadedSounds.set('car', createMockAudioBuffer())
+      gameState.preloadedSounds.set('birds', createMockAudioBuffer())
+
+      window.gameFunctions.manageSoundElement({ pollution: 'car', is_antropo: true }, true)
+      window.gameFunctions.manageSoundElement({ pollution: 'birds', is_antropo: false }, true)
+
+      const engine = window.gameFunctions.getAudioEngine()
+      gameState.activeVoices.forEach((voice) => {
+        expect(voice.source.context).to.equal(engine.context)
+      })
+    })
+
+    it('should route the master bus through the limiter, the ceiling and the meter to the speakers', function () {
+      const engine = window.gameFunctions.getAudioEngine()
+
+      expect(engine.masterGain.connections).to.deep.equal([engine.limiter])
+      expect(engine.limiter.connections).to.deep.equal([engine.ceiling])
+      expect(engine.ceiling.connections).to.deep.equal([engine.analyser])
+      expect(engine.analyser.connections).to.deep.equal([engine.context.destination])
+      Object.values(engine.submixes).forEach((submix) => {
+        expect(submix.connections).to.deep.equal([engine.masterGain])
+      })
+    })
+
+    it('should route sounds to submixes by category', function () {
+      const engine = window.gameFunctions.getAudioEngine()
+
+      expect(window.gameFunctions.getSoundSubmix({ pollution: 'car', is_antropo: true })).to.equal(
+        engine.submixes.anthropogenic
+      )
+      expect(window.gameFunctions.getSoundSubmix({ pollution: 'birds', is_antropo: false })).to.equal(
+        engine.submixes.natural
+      )
+      expect(window.gameFunctions.getSoundSubmix({ pollution: 'tinnitus', isOverlay: true })).to.equal(
+        engine.submixes.overlay
+      )
+    })
+
+    it('should connect the sound chain into its submix', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.preloadedSounds.set('car', createMockAudioBuffer())
+
+      window.gameFunctions.manageSoundElement({ pollution: 'car', is_antropo: true }, true)
+
+      const engine = window.gameFunctions.getAudioEngine()
+      const volumeNode = gameState.activeVoices[0].source.connections[0]
+      expect(volumeNode.connections).to.deep.equal([engine.submixes.anthropogenic])
+    })
+
+    it('should clamp and apply the master volume', function () {
+      const gameState = window.gameFunctions.getGameState()
+      const engine = window.gameFunctions.getAudioEngine()
+
+      window.gameFunctions.setMasterVolume(0.4)
+      expect(gameState.masterVolume).to.equal(0.4)
+      expect(engine.masterGain.gain.value).to.equal(0.4)
+
+      window.gameFunctions.setMasterVolume(5)
+      expect(engine.masterGain.gain.value).to.equal(1)
+
+      window.gameFunctions.setMasterVolume('invalid')
+      expect(engine.masterGain.gain.value).to.equal(1)
+    })
+
+    it('should set the level of a category submix', function () {
+      const engine = window.gameFunctions.getAudioEngine()
+
+      window.gameFunctions.setSubmixLevel('natural', 0.5)
+
+      expect(engine.submixes.natural.gain.value).to.equal(0.5)
+    })
+  })
+
+  describe('Hearing Safety', function () {
+    beforeEach(function () {
+      window.gameFunctions.resetGameState()
+      window.gameFunctions.clearSafetyCalibration()
+      document.body.innerHTML = `
+        <p id="loudnessWarning" style="display: none"></p>
+        <div id="gameControls"></div>
+        <div id="safetyCalibration" style="display: none">
+          <button id="playReferenceTone"></button>
+          <input id="calibrationVolume" type="range" min="0" max="100" />
+        </div>
+      `
+    })
+
+    afterEach(function () {
+      window.gameFunctions.stopReferenceTone()
+      window.gameFunctions.clearSafetyCalibration()
+    })
+
+    it('should cut the output at the ceiling whatever the input', function () {
+      const curve = window.gameFunctions.createCeilingCurve(-6, 5)
+      const ceiling = window.gameFunctions.dbToGain(-6)
+
+      expect(Array.from(curve)).to.deep.equal([-ceiling, -0.5, 0, 0.5, ceiling].map(Math.fround))
+      expect(window.gameFunctions.getAudioEngine().ceiling.curve).to.have.lengthOf(1025)
+    })
+
+    it('should warn while the output is too loud and a moment after', function () {
+      const engine = window.gameFunctions.getAudioEngine()
+      const warning = document.getElementById('loudnessWarning')
+
+      engine.analyser.level = 0.5
+      window.gameFunctions.checkOutputLevel(engine, 1000)
+      expect(warning.style.display).to.equal('block')
+
+      engine.analyser.level = 0.01
+      window.gameFunctions.checkOutputLevel(engine, 1000 + SAFETY_DEFAULTS.warningHold - 1)
+      expect(warning.style.display).to.equal('block')
+      window.gameFunctions.checkOutputLevel(engine, 1000 + SAFETY_DEFAULTS.warningHold)
+      expect(warning.style.display).to.equal('none')
+    })
+
+    it('should only meter the output while something plays', function () {
+      const engine = window.gameFunctions.getAudioEngine()
+      const warning = document.getElementById('loudnessWarning')
+      const gameState = window.gameFunctions.getGameState()
+      const sound = { pollution: 'kolej', is_antropo: true }
+      gameState.preloadedSounds.set(sound.pollution, createMockAudioBuffer())
+      expect(engine.meter).to.be.null
+
+      window.gameFunctions.playReferenceTone()
+      window.gameFunctions.manageSoundElement(sound, true)
+      const meter = engine.meter
+      expect(meter).to.not.be.null
+
+      engine.analyser.level = 0.5
+      window.gameFunctions.checkOutputLevel(engine)
+      window.gameFunctions.stopReferenceTone()
+      expect(engine.meter).to.equal(meter)
+
+      window.gameFunctions.stopAllSounds()
+      expect(engine.meter).to.be.null
+      expect(warning.style.display).to.equal('none')
+    })
+
+    it('should calibrate before the first game and remember the volume', function () {
+      window.gameFunctions.setupEventListeners()
+
+      window.gameFunctions.requestStartGame()
+
+      const gameState = window.gameFunctions.getGameState()
+      expect(document.getElementById('safetyCalibration').style.display).to.equal('block')
+      expect(document.getElementById('gameControls').style.display).to.equal('none')
+      expect(gameState.masterVolume).to.equal(SAFETY_DEFAULTS.initialVolume)
+
+      const volumeInput = document.getElementById('calibrationVolume')
+      volumeInput.value = '45'
+      volumeInput.dispatchEvent(new Event('input'))
+      gameState.startAfterCalibration = false
+      window.gameFunctions.finishSafetyCalibration()
+
+      expect(window.gameFunctions.loadSafetyCalibration().volume).to.equal(0.45)
+      expect(document.getElementById('safetyCalibration').style.display).to.equal('none')
+      expect(document.getElementById('gameControls').style.display).to.equal('block')
+    })
+
+    it('should ignore a broken stored calibration', function () {
+      const originalError = console.error
+      console.error = () => {}
+
+      try {
+        window.localStorage.setItem(SAFETY_DEFAULTS.storageKey, '{not json')
+        expect(window.gameFunctions.loadSafetyCalibration()).to.be.null
+      } finally {
+        console.error = originalError
+      }
+    })
+
+    it('should play the reference tone through the master bus', function () {
+      const engine = window.gameFunctions.getAudioEngine()
+
+      window.gameFunctions.toggleReferenceTone()
+
+      const { oscillator, level } = window.gameFunctions.getGameState().referenceTone
+      expect(oscillator.started).to.be.true
+      expect(oscillator.frequency.value).to.equal(SAFETY_DEFAULTS.toneFrequency)
+      expect(level.connections).to.deep.equal([engine.masterGain])
+      expect(document.getElementById('playReferenceTone').getAttribute('aria-pressed')).to.equal('true')
+
+      window.gameFunctions.toggleReferenceTone()
+
+      expect(oscillator.stopped).to.be.true
+      expect(window.gameFunctions.getGameState().referenceTone).to.be.null
+    })
+  })
+
+  describe('Playback Calibration', function () {
+    // Stereo sine of the given peak, silent after the given share of its length
+    const createToneBuffer = (peak, audibleShare = 1) => {
+      const buffer = createMockAudioBuffer()
+      const audible = buffer.length * audibleShare
+      for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const data = buffer.getChannelData(channel)
+        for (let i = 0; i < audible; i++) data[i] = peak * Math.sin((2 * Math.PI * 440 * i) / buffer.sampleRate)
+      }
+      return buffer
+    }
+
+    const bee = { pollution: 'lot pszczoły', amplitude: { min_db: 20, max_db: 40, typical_db: 30 } }
+    const plane = { pollution: 'samolot', amplitude: { min_db: 90, max_db: 140, typical_db: 120 } }
+
+    beforeEach(function () {
+      window.gameFunctions.resetGameState()
+    })
+
+    it('should measure the RMS loudness of the audible part of a sound', function () {
+      // Sine RMS is peak / sqrt(2): 0.5 gives -9.03 dBFS
+      expect(window.gameFunctions.measureLoudness(createToneBuffer(0.5))).to.be.closeTo(-9.03, 0.05)
+      expect(window.gameFunctions.measureLoudness(createToneBuffer(0.5, 0.4))).to.be.closeTo(-9.03, 0.05)
+      expect(window.gameFunctions.measureLoudness(createMockAudioBuffer())).to.be.null
+    })
+
+    it('should play equally loud recordings at the level of their typical dB', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.preloadedSounds.set(bee.pollution, createToneBuffer(0.5))
+      gameState.preloadedSounds.set(plane.pollution, createToneBuffer(0.5))
+      const loudness = window.gameFunctions.measureLoudness(createToneBuffer(0.5))
+
+      const beeDb = window.gameFunctions.getCalibrationDb(bee)
+      const planeDb = window.gameFunctions.getCalibrationDb(plane)
+
+      expect(beeDb).to.be.lessThan(planeDb)
+      // 30 dB is 40 dB below the 70 dB reference, played 20 dB below the reference level
+      expect(beeDb + loudness).to.be.closeTo(CALIBRATION_DEFAULTS.referenceLoudnessDb - 20, 0.01)
+      expect(planeDb + loudness).to.be.closeTo(CALIBRATION_DEFAULTS.maxLoudnessDb, 0.01)
+    })
+
+    it('should add the boost on top of the capped level so loud sounds keep their emphasis', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.preloadedSounds.set(bee.pollution, createToneBuffer(0.5))
+      gameState.preloadedSounds.set(plane.pollution, createToneBuffer(0.5))
+      const loudness = window.gameFunctions.measureLoudness(createToneBuffer(0.5))
+      const beeDb = window.gameFunctions.getCalibrationDb(bee)
+
+      expect(window.gameFunctions.getCalibrationDb(bee, 6)).to.be.closeTo(beeDb + 6, 1e-9)
+      // The plane is already at the cap, the boost still raises it above the unboosted sounds
+      expect(window.gameFunctions.getCalibrationDb(plane, 6) + loudness).to.be.closeTo(
+        CALIBRATION_DEFAULTS.maxLoudnessDb + 6,
+        0.01
+      )
+    })
+
+    it('should leave unmeasured and silent sounds at the boost alone', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.preloadedSounds.set(plane.pollution, createMockAudioBuffer())
+
+      expect(window.gameFunctions.getCalibrationDb(bee, 3)).to.equal(3)
+      expect(window.gameFunctions.getCalibrationDb(plane)).to.equal(0)
+      expect(window.gameFunctions.getCalibrationEffects(plane)).to.deep.equal([{ type: 'gain', value: 1 }])
+    })
+  })
+
   describe('Risk Functions', function () {
     beforeEach(async function () {
       window.gameFunctions.resetGameState()
@@ -836,10 +2045,8 @@ describe('Game Logic', function () {
 
         // Verify bass boost configuration
         gameState.selectedSounds.forEach((sound) => {
-          if (!sound.isTinnitus) {
-            expect(sound.bassBoost).to.exist
-            expect(sound.bassBoost.frequency).to.equal(300)
-            expect(sound.bassBoost.gain).to.equal(10)
+          if (!sound.isOverlay) {
+            expect(sound.effects).to.deep.include({ type: 'lowshelf', frequency: 300, gain: 10 })
           }
         })
       })
@@ -852,7 +2059,7 @@ describe('Game Logic', function () {
           pollution: 'tinnitus',
           sound_file: ['tinnitus.mp3'],
           amplitude: '0-0',
-          isTinnitus: true
+          isOverlay: true
         }
         gameState.selectedSounds = [tinnitusSound]
 
@@ -869,7 +2076,7 @@ describe('Game Logic', function () {
         window.gameFunctions.applyRiskFunctions()
 
         // Verify tinnitus sound is not modified
-        expect(tinnitusSound.bassBoost).to.not.exist
+        expect(tinnitusSound.effects).to.be.empty
       })
 
       it('should apply bass boost when sounds are selected after risk function application', function () {
@@ -892,10 +2099,8 @@ describe('Game Logic', function () {
 
         // Verify bass boost is applied to all non-tinnitus sounds
         gameState.selectedSounds.forEach((sound) => {
-          if (!sound.isTinnitus) {
-            expect(sound.bassBoost).to.exist
-            expect(sound.bassBoost.frequency).to.equal(300)
-            expect(sound.bassBoost.gain).to.equal(10)
+          if (!sound.isOverlay) {
+            expect(sound.effects).to.deep.include({ type: 'lowshelf', frequency: 300, gain: 10 })
           }
         })
       })
@@ -922,11 +2127,11 @@ describe('Game Logic', function () {
 
         // Verify both effects are applied
         gameState.selectedSounds.forEach((sound) => {
-          if (!sound.isTinnitus) {
-            expect(sound.bassBoost).to.exist
-            expect(sound.bassBoost.frequency).to.equal(300)
-            expect(sound.bassBoost.gain).to.equal(10)
-            expect(sound.lowpassFilter).to.equal(200)
+          if (!sound.isOverlay) {
+            expect(sound.effects).to.deep.equal([
+              { type: 'lowshelf', frequency: 300, gain: 10 },
+              { type: 'lowpass', frequency: 200, Q: 1 }
+            ])
           }
         })
       })
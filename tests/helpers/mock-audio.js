@@ -1,75 +1,155 @@
-// Mock Audio for testing
-class MockAudio {
+// Mock AudioParam supporting direct values and scheduled changes
+function createMockAudioParam(value) {
+  return {
+    value,
+    setValueAtTime(newValue) {
+      this.value = newValue
+    },
+    linearRampToValueAtTime(newValue) {
+      this.value = newValue
+    },
+    setTargetAtTime(newValue) {
+      this.value = newValue
+    },
+    cancelScheduledValues() {}
+  }
+}
+
+// Mock AudioNode that records its connections so tests can inspect the audio graph
+function createMockAudioNode(context, properties = {}) {
+  return {
+    context,
+    connections: [],
+    connect(node) {
+      this.connections.push(node)
+      return node
+    },
+    disconnect() {
+      this.connections = []
+    },
+    ...properties
+  }
+}
+
+// Mock AudioContext for testing
+class MockAudioContext {
   constructor() {
-    this.paused = true
+    this.state = 'running'
+    this.sampleRate = 44100
     this.currentTime = 0
-    this.loop = false
-    this.listeners = {}
-    this._playPromise = Promise.resolve()
-    this.audioContext = null
-    this.source = null
-    this.gainNode = null
-  }
-
-  play() {
-    this.paused = false
-    this._playPromise = new Promise((resolve) => {
-      if (this.listeners.canplaythrough) {
-        this.listeners.canplaythrough.forEach((cb) => cb())
-      }
-      resolve()
+    this.destination = createMockAudioNode(this)
+  }
+
+  resume() {
+    this.state = 'running'
+    return Promise.resolve()
+  }
+
+  createMediaElementSource(element) {
+    return createMockAudioNode(this, { mediaElement: element })
+  }
+
+  createGain() {
+    return createMockAudioNode(this, { gain: createMockAudioParam(1.0) })
+  }
+
+  createBiquadFilter() {
+    return createMockAudioNode(this, {
+      type: 'lowpass',
+      frequency: createMockAudioParam(350),
+      Q: createMockAudioParam(1),
+      gain: createMockAudioParam(0)
     })
-    return this._playPromise
   }
 
-  pause() {
-    this.paused = true
+  createDynamicsCompressor() {
+    return createMockAudioNode(this, {
+      threshold: createMockAudioParam(-24),
+      knee: createMockAudioParam(30),
+      ratio: createMockAudioParam(12),
+      attack: createMockAudioParam(0.003),
+      release: createMockAudioParam(0.25)
+    })
   }
 
-  addEventListener(event, callback) {
-    if (!this.listeners[event]) {
-      this.listeners[event] = []
-    }
-    this.listeners[event].push(callback)
+  createOscillator() {
+    return createMockAudioNode(this, {
+      type: 'sine',
+      frequency: createMockAudioParam(440),
+      started: false,
+      stopped: false,
+      start() {
+        this.started = true
+      },
+      stop() {
+        this.stopped = true
+      }
+    })
   }
-}
 
-// Store original Audio constructor
-const originalAudio = window.Audio
+  createBufferSource() {
+    return createMockAudioNode(this, {
+      buffer: null,
+      loop: false,
+      playbackRate: createMockAudioParam(1),
+      started: false,
+      stopped: false,
+      start() {
+        this.started = true
+      },
+      stop() {
+        this.stopped = true
+      }
+    })
+  }
 
-// Replace Audio constructor with MockAudio
-window.Audio = MockAudio
+  createStereoPanner() {
+    return createMockAudioNode(this, { pan: createMockAudioParam(0) })
+  }
 
-// Mock AudioContext for testing
-class MockAudioContext {
-  constructor() {
-    this.destination = {
-      connect: () => {}
-    }
+  createConvolver() {
+    return createMockAudioNode(this, { buffer: null, normalize: true })
   }
 
-  createMediaElementSource(element) {
-    return {
-      connect: (node) => {
-        if (node) {
-          node.connect(this.destination)
-        }
+  createWaveShaper() {
+    return createMockAudioNode(this, { curve: null, oversample: 'none' })
+  }
+
+  // The analyser reports a constant signal of the given level, 0 (silence) by default
+  createAnalyser() {
+    return createMockAudioNode(this, {
+      fftSize: 2048,
+      level: 0,
+      getFloatTimeDomainData(samples) {
+        samples.fill(this.level)
       }
+    })
+  }
+
+  decodeAudioData(data) {
+    if (!data || data.byteLength === 0) {
+      return Promise.reject(new Error('Unable to decode audio data'))
     }
+    return Promise.resolve(this.createBuffer(2, this.sampleRate, this.sampleRate))
   }
 
-  createGain() {
+  createBuffer(numberOfChannels, length, sampleRate) {
+    const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length))
     return {
-      connect: (node) => {
-        if (node) {
-          node.connect(this.destination)
-        }
-      },
-      gain: { value: 1.0 }
+      numberOfChannels,
+      length,
+      sampleRate,
+      duration: length / sampleRate,
+      getChannelData: (channel) => channels[channel]
     }
   }
 }
 
+// Decoded one-second buffer, as stored in gameState.preloadedSounds
+function createMockAudioBuffer() {
+  return new MockAudioContext().createBuffer(2, 44100, 44100)
+}
+
 // Replace AudioContext with MockAudioContext
 window.AudioContext = MockAudioContext
 window.webkitAudioContext = MockAudioContext
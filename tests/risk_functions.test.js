@@ -18,62 +18,22 @@ describe('Risk Functions', function () {
         </div>
       `
 
-    // Mock AudioContext and GainNode
-    window.AudioContext = class MockAudioContext {
-      createMediaElementSource() {
-        return {
-          connect: () => {}
-        }
-      }
-      createGain() {
-        return {
-          connect: () => {},
-          disconnect: () => {},
-          gain: { value: 1.0 }
-        }
-      }
-      createBiquadFilter() {
-        return {
-          connect: () => {},
-          disconnect: () => {},
-          type: 'lowpass',
-          frequency: { value: 200 },
-          Q: { value: 1 }
-        }
-      }
-    }
+    // Use the graph-recording AudioContext mock
+    window.AudioContext = MockAudioContext
   })
 
   afterEach(function () {
     // Clean up any remaining audio elements
     const gameState = window.gameFunctions.getGameState()
     gameState.preloadedSounds.clear()
-    gameState.soundElements = []
+    gameState.activeVoices = []
     gameState.activeSounds = []
     gameState.selectedSounds = []
     gameState.selectedRecipients = []
-
-    // Restore original Audio
-    window.Audio = MockAudio
   })
 
   describe('tinnitus risk function', function () {
-    beforeEach(function () {
-      // Mock immediate sound loading
-      const mockAudio = function () {
-        const audio = new MockAudio()
-        // Immediately trigger canplaythrough
-        setTimeout(() => {
-          if (audio.listeners.canplaythrough) {
-            audio.listeners.canplaythrough.forEach((cb) => cb())
-          }
-        }, 0)
-        return audio
-      }
-      window.Audio = mockAudio
-    })
-
-    it('should preload tinnitus sound', async function () {
+    it('should add a synthesized tinnitus layer instead of a sound', function () {
       const gameState = window.gameFunctions.getGameState()
 
       // Set up test pollutions
@@ -82,9 +42,6 @@ describe('Risk Functions', function () {
         { pollution: 'train', sound_file: 'train.mp3', amplitude: '60-80' }
       ]
 
-      // Initialize selected sounds array
-      gameState.selectedSounds = []
-
       // Add tinnitus recipient with correct format
       gameState.selectedRecipients = [
         {
@@ -94,24 +51,17 @@ describe('Risk Functions', function () {
         }
       ]
 
-      // Apply risk functions to add tinnitus sound
+      // Apply risk functions to add tinnitus layer
       window.gameFunctions.applyRiskFunctions()
 
-      // Verify tinnitus sound was added correctly
-      expect(gameState.selectedSounds.length).to.equal(1)
-      expect(gameState.selectedSounds[0].pollution).to.equal('tinnitus')
-      expect(gameState.selectedSounds[0].isTinnitus).to.be.true
-      expect(gameState.selectedSounds[0].sound_file).to.equal('sounds/tinnitus.ogg')
-
-      // Preload sounds
-      await window.gameFunctions.preloadSounds()
-
-      // Verify tinnitus sound is preloaded
-      expect(gameState.preloadedSounds.has('tinnitus')).to.be.true
-      expect(gameState.preloadedSounds.get('tinnitus')).to.be.instanceof(MockAudio)
+      // Verify tinnitus is a background layer, not a selected sound
+      expect(gameState.selectedSounds.some((sound) => sound.pollution === 'tinnitus')).to.be.false
+      expect(gameState.backgroundLayers).to.have.lengthOf(1)
+      expect(gameState.backgroundLayers[0].type).to.equal('tinnitus')
+      expect(gameState.backgroundLayers[0].frequency).to.be.within(4000, 8000)
     })
 
-    it('should play tinnitus sound alongside regular sounds', function () {
+    it('should play tinnitus tone in the right ear alongside regular sounds', function () {
       const gameState = window.gameFunctions.getGameState()
 
       // Add tinnitus recipient
@@ -123,30 +73,91 @@ describe('Risk Functions', function () {
         }
       ]
 
-      // Apply risk functions to add tinnitus sound
-      window.gameFunctions.applyRiskFunctions()
-
-      // Mock Audio for testing
-      const mockTinnitusAudio = new MockAudio()
-      const mockRegularAudio = new MockAudio()
-      gameState.preloadedSounds.set('tinnitus', mockTinnitusAudio)
-      gameState.preloadedSounds.set('car', mockRegularAudio)
-
       // Add a regular sound
+      gameState.preloadedSounds.set('car', createMockAudioBuffer())
       gameState.selectedSounds.push({
         pollution: 'car',
         sound_file: 'car.mp3',
         amplitude: '50-70'
       })
 
+      // Apply risk functions to add tinnitus layer
+      window.gameFunctions.applyRiskFunctions()
+
       // Play sounds
       window.gameFunctions.playRandomSounds()
 
-      // Verify both sounds are playing
-      expect(mockTinnitusAudio.paused).to.be.false
-      expect(mockRegularAudio.paused).to.be.false
-      expect(mockTinnitusAudio.loop).to.be.true
-      expect(mockRegularAudio.loop).to.be.true
+      // Verify the regular sound plays and the tone runs panned hard right
+      expect(gameState.activeVoices).to.have.lengthOf(1)
+      expect(gameState.activeVoices[0].source.started).to.be.true
+      expect(gameState.activeVoices[0].source.loop).to.be.true
+      expect(gameState.activeLayers).to.have.lengthOf(1)
+      const [oscillator, levelGain, panner] = gameState.activeLayers[0].nodes
+      expect(oscillator.type).to.equal('sine')
+      expect(oscillator.started).to.be.true
+      expect(oscillator.connections).to.deep.equal([levelGain])
+      expect(levelGain.connections).to.deep.equal([panner])
+      expect(panner.pan.value).to.equal(1)
+      expect(panner.connections).to.deep.equal([window.gameFunctions.getAudioEngine().submixes.overlay])
+    })
+
+    it('should stop tinnitus tone together with the other sounds', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.backgroundLayers = [window.gameFunctions.createTinnitusLayer()]
+
+      window.gameFunctions.startBackgroundLayers()
+      const sources = gameState.activeLayers[0].sources
+      window.gameFunctions.stopAllSounds()
+
+      expect(gameState.activeLayers).to.be.empty
+      sources.forEach((source) => {
+        expect(source.stopped).to.be.true
+        expect(source.connections).to.be.empty
+      })
+    })
+
+    it('should silence tinnitus tone during the guessing phase', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.backgroundLayers = [window.gameFunctions.createTinnitusLayer()]
+      window.gameFunctions.startBackgroundLayers()
+
+      window.gameFunctions.startGuessingPhase()
+      clearInterval(gameState.guessingInterval)
+
+      expect(gameState.activeLayers).to.be.empty
+    })
+
+    it('should clamp tinnitus configuration to safe ranges', function () {
+      const tooLow = window.gameFunctions.createTinnitusLayer({ frequency: 100, level: 3 })
+      expect(tooLow.frequency).to.equal(4000)
+      expect(tooLow.level).to.equal(0.2)
+
+      const tooHigh = window.gameFunctions.createTinnitusLayer({ frequency: 20000 })
+      expect(tooHigh.frequency).to.equal(8000)
+    })
+
+    it('should allow disabling the amplitude wobble', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.backgroundLayers = [window.gameFunctions.createTinnitusLayer({ wobble: false })]
+
+      window.gameFunctions.startBackgroundLayers()
+
+      expect(gameState.activeLayers[0].sources).to.have.lengthOf(1)
+      window.gameFunctions.stopBackgroundLayers()
+    })
+
+    it('should modulate the tone level with a slow LFO by default', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.backgroundLayers = [window.gameFunctions.createTinnitusLayer({ frequency: 5000 })]
+
+      window.gameFunctions.startBackgroundLayers()
+
+      const [oscillator, levelGain, , lfo, depth] = gameState.activeLayers[0].nodes
+      expect(oscillator.frequency.value).to.equal(5000)
+      expect(lfo.started).to.be.true
+      expect(lfo.frequency.value).to.be.below(1)
+      expect(depth.connections).to.deep.equal([levelGain.gain])
+      window.gameFunctions.stopBackgroundLayers()
     })
 
     it('should not include tinnitus in guess list', function () {
@@ -161,7 +172,7 @@ describe('Risk Functions', function () {
         }
       ]
 
-      // Apply risk functions to add tinnitus sound
+      // Apply risk functions to add tinnitus layer
       window.gameFunctions.applyRiskFunctions()
 
       // Create sound grid
@@ -183,7 +194,7 @@ describe('Risk Functions', function () {
           pollution: 'tinnitus',
           sound_file: 'sounds/tinnitus.ogg',
           amplitude: '0-0',
-          isTinnitus: true
+          isOverlay: true
         }
       ]
 
@@ -192,7 +203,7 @@ describe('Risk Functions', function () {
         pollution: 'tinnitus',
         sound_file: 'sounds/tinnitus.ogg',
         amplitude: '0-0',
-        isTinnitus: true
+        isOverlay: true
       })
 
       // Verify score hasn't changed
@@ -223,8 +234,7 @@ describe('Risk Functions', function () {
       window.gameFunctions.applyRiskFunctions()
 
       // Verify both effects are applied
-      const loudSound = gameState.pollutions.find((s) => s.pollution === 'loud')
-      expect(loudSound.volumeAdjustment).to.equal(3)
+      expect(gameState.loudnessAdjustments.has('loud')).to.be.true
       expect(gameState.timeRemaining).to.equal(20) // Reduced by 10 seconds
     })
 
@@ -251,13 +261,9 @@ describe('Risk Functions', function () {
       window.gameFunctions.applyRiskFunctions()
 
       // Verify volume adjustments
-      const exact50Sound = gameState.pollutions.find((s) => s.pollution === 'exact_50')
-      const invalidFormatSound = gameState.pollutions.find((s) => s.pollution === 'invalid_format')
-      const noAmplitudeSound = gameState.pollutions.find((s) => s.pollution === 'no_amplitude')
-
-      expect(exact50Sound.volumeAdjustment).to.equal(3) // Should amplify at exactly 50
-      expect(invalidFormatSound.volumeAdjustment).to.be.undefined
-      expect(noAmplitudeSound.volumeAdjustment).to.be.undefined
+      expect(gameState.loudnessAdjustments.has('exact_50')).to.be.true // Should amplify at exactly 50
+      expect(gameState.loudnessAdjustments.has('invalid_format')).to.be.false
+      expect(gameState.loudnessAdjustments.has('no_amplitude')).to.be.false
     })
   })
 
@@ -286,33 +292,87 @@ describe('Risk Functions', function () {
       window.gameFunctions.applyRiskFunctions()
 
       // Verify volume adjustments
-      const loudSound = gameState.pollutions.find((s) => s.pollution === 'loud')
-      const veryLoudSound = gameState.pollutions.find((s) => s.pollution === 'very_loud')
-      const quietSound = gameState.pollutions.find((s) => s.pollution === 'quiet')
-      const mediumSound = gameState.pollutions.find((s) => s.pollution === 'medium')
+      const adjustments = gameState.loudnessAdjustments
+      expect(adjustments.has('loud')).to.be.true
+      expect(adjustments.has('very_loud')).to.be.true
+      expect(adjustments.has('quiet')).to.be.false
+      expect(adjustments.has('medium')).to.be.false
+    })
+
+    it('should scale the boost with the dB range of each sound', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = [
+        { pollution: 'loud', sound_file: 'loud.mp3', amplitude: '60-70 dB' },
+        { pollution: 'very_loud', sound_file: 'very_loud.mp3', amplitude: '60-134 dB' },
+        { pollution: 'steady', sound_file: 'steady.mp3', amplitude: 'up to 80 dB' }
+      ]
+      gameState.selectedRecipients = [{ group: 'niewidomi', label: 'niewidoma', risk_function: 'loud_sounds_louder' }]
+
+      window.gameFunctions.applyRiskFunctions()
 
-      expect(loudSound.volumeAdjustment).to.equal(3)
-      expect(veryLoudSound.volumeAdjustment).to.equal(3)
-      expect(quietSound.volumeAdjustment).to.be.undefined
-      expect(mediumSound.volumeAdjustment).to.be.undefined
+      const loud = gameState.loudnessAdjustments.get('loud')
+      const veryLoud = gameState.loudnessAdjustments.get('very_loud')
+      const steady = gameState.loudnessAdjustments.get('steady')
+      expect(veryLoud.gainDb).to.be.greaterThan(loud.gainDb)
+      expect(veryLoud.gainDb).to.be.at.most(12)
+      // Wide ranges are sudden sounds, steady ones get no transient emphasis
+      expect(veryLoud.transient).to.be.greaterThan(loud.transient)
+      expect(steady.transient).to.equal(0)
+    })
+
+    it('should not mutate the pollutions catalogue', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = [{ pollution: 'loud', sound_file: 'loud.mp3', amplitude: '60-70' }]
+      gameState.selectedRecipients = [{ group: 'niewidomi', label: 'niewidoma', risk_function: 'loud_sounds_louder' }]
+
+      window.gameFunctions.applyRiskFunctions()
+
+      expect(gameState.pollutions[0]).to.deep.equal({ pollution: 'loud', sound_file: 'loud.mp3', amplitude: '60-70' })
+    })
+
+    it('should not carry the boost over to the next game', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = [{ pollution: 'loud', sound_file: 'loud.mp3', amplitude: '60-70' }]
+      gameState.selectedRecipients = [{ group: 'niewidomi', label: 'niewidoma', risk_function: 'loud_sounds_louder' }]
+
+      window.gameFunctions.applyRiskFunctions()
+      expect(gameState.loudnessAdjustments.size).to.equal(1)
+
+      window.gameFunctions.resetGame()
+      expect(gameState.loudnessAdjustments.size).to.equal(0)
+
+      // Next game without the recipient plays the sound unchanged
+      window.gameFunctions.applyRiskFunctions()
+      expect(gameState.loudnessAdjustments.size).to.equal(0)
     })
 
     it('should apply volume adjustment when playing sounds', function () {
       const gameState = window.gameFunctions.getGameState()
 
       // Set up test pollutions
-      gameState.pollutions = [{ pollution: 'loud', sound_file: 'loud.mp3', amplitude: '60-70', volumeAdjustment: 3 }]
+      gameState.pollutions = [{ pollution: 'loud', sound_file: 'loud.mp3', amplitude: '60-90' }]
+      gameState.selectedRecipients = [{ group: 'niewidomi', label: 'niewidoma', risk_function: 'loud_sounds_louder' }]
+      window.gameFunctions.applyRiskFunctions()
 
-      // Mock audio elements
-      const mockAudio = new MockAudio()
-      gameState.preloadedSounds.set('loud', mockAudio)
+      // Mock decoded sound
+      gameState.preloadedSounds.set('loud', createMockAudioBuffer())
 
       // Play the sound
       window.gameFunctions.manageSoundElement(gameState.pollutions[0], true)
 
       // Verify the sound is playing
-      expect(mockAudio.paused).to.be.false
-      expect(mockAudio.loop).to.be.true
+      const [voice] = gameState.activeVoices
+      expect(voice.source.started).to.be.true
+      expect(voice.source.loop).to.be.true
+
+      // Verify the chain: boost -> transient shaper -> limiter
+      const [boost, transientCompressor, makeupGain, limiter] = voice.effectChain.nodes
+      const { gainDb } = gameState.loudnessAdjustments.get('loud')
+      expect(boost.gain.value).to.be.closeTo(Math.pow(10, gainDb / 20), 1e-9)
+      expect(transientCompressor.attack.value).to.be.greaterThan(limiter.attack.value)
+      expect(makeupGain.gain.value).to.be.greaterThan(1)
+      expect(limiter.ratio.value).to.equal(20)
+      expect(limiter.threshold.value).to.be.at.most(0)
     })
 
     it('should handle multiple risk functions together', function () {
@@ -339,8 +399,7 @@ describe('Risk Functions', function () {
       window.gameFunctions.applyRiskFunctions()
 
       // Verify both effects are applied
-      const loudSound = gameState.pollutions.find((s) => s.pollution === 'loud')
-      expect(loudSound.volumeAdjustment).to.equal(3)
+      expect(gameState.loudnessAdjustments.has('loud')).to.be.true
       expect(gameState.timeRemaining).to.equal(20) // Reduced by 10 seconds
     })
 
@@ -367,13 +426,21 @@ describe('Risk Functions', function () {
       window.gameFunctions.applyRiskFunctions()
 
       // Verify volume adjustments
-      const exact50Sound = gameState.pollutions.find((s) => s.pollution === 'exact_50')
-      const invalidFormatSound = gameState.pollutions.find((s) => s.pollution === 'invalid_format')
-      const noAmplitudeSound = gameState.pollutions.find((s) => s.pollution === 'no_amplitude')
+      expect(gameState.loudnessAdjustments.has('exact_50')).to.be.true // Should amplify at exactly 50
+      expect(gameState.loudnessAdjustments.has('invalid_format')).to.be.false
+      expect(gameState.loudnessAdjustments.has('no_amplitude')).to.be.false
+    })
+
+    it('should boost structured and legacy amplitudes alike', function () {
+      const legacy = window.gameFunctions.computeLoudnessAdjustment({ amplitude: '60-134 dB' })
+      const structured = window.gameFunctions.computeLoudnessAdjustment({
+        amplitude: { min_db: 60, max_db: 134, typical_db: 80 }
+      })
 
-      expect(exact50Sound.volumeAdjustment).to.equal(3) // Should amplify at exactly 50
-      expect(invalidFormatSound.volumeAdjustment).to.be.undefined
-      expect(noAmplitudeSound.volumeAdjustment).to.be.undefined
+      expect(structured).to.deep.equal(legacy)
+      expect(
+        window.gameFunctions.computeLoudnessAdjustment({ amplitude: { min_db: 40, max_db: 90, typical_db: 70 } })
+      ).to.be.null
     })
   })
 
@@ -404,8 +471,8 @@ describe('Risk Functions', function () {
 
       // Verify lowpass filter is applied to all sounds
       gameState.selectedSounds.forEach((sound) => {
-        if (!sound.isTinnitus) {
-          expect(sound.lowpassFilter).to.equal(200)
+        if (!sound.isOverlay) {
+          expect(sound.effects).to.deep.include({ type: 'lowpass', frequency: 200, Q: 1 })
         }
       })
     })
@@ -427,7 +494,7 @@ describe('Risk Functions', function () {
         pollution: 'tinnitus',
         sound_file: 'sounds/tinnitus.ogg',
         amplitude: '0-0',
-        isTinnitus: true
+        isOverlay: true
       }
       gameState.selectedSounds.push(tinnitusSound)
 
@@ -444,8 +511,8 @@ describe('Risk Functions', function () {
       window.gameFunctions.applyRiskFunctions()
 
       // Verify tinnitus sound is not affected
-      const tinnitusSoundAfter = gameState.selectedSounds.find((sound) => sound.isTinnitus)
-      expect(tinnitusSoundAfter.lowpassFilter).to.be.undefined
+      const tinnitusSoundAfter = gameState.selectedSounds.find((sound) => sound.isOverlay)
+      expect(tinnitusSoundAfter.effects).to.be.empty
     })
 
     it('should handle multiple risk functions together', function () {
@@ -477,13 +544,11 @@ describe('Risk Functions', function () {
       // Apply risk functions
       window.gameFunctions.applyRiskFunctions()
 
-      // Verify both effects are applied
-      const regularSound = gameState.selectedSounds.find((sound) => !sound.isTinnitus)
-      const tinnitusSound = gameState.selectedSounds.find((sound) => sound.isTinnitus)
+      // Verify both effects are applied, the tinnitus tone bypassing the filter
+      const regularSound = gameState.selectedSounds.find((sound) => !sound.isOverlay)
 
-      expect(regularSound.lowpassFilter).to.equal(200)
-      expect(tinnitusSound.isTinnitus).to.be.true
-      expect(tinnitusSound.lowpassFilter).to.be.undefined
+      expect(regularSound.effects).to.deep.include({ type: 'lowpass', frequency: 200, Q: 1 })
+      expect(gameState.backgroundLayers.map((layer) => layer.type)).to.deep.equal(['tinnitus'])
     })
 
     it('should properly connect and disconnect filter nodes in audio chain', function () {
@@ -507,17 +572,24 @@ describe('Risk Functions', function () {
       // Apply risk functions
       window.gameFunctions.applyRiskFunctions()
 
-      // Mock audio element
-      const mockAudio = new MockAudio()
-      gameState.preloadedSounds.set('car', mockAudio)
+      // Mock decoded sound
+      gameState.preloadedSounds.set('car', createMockAudioBuffer())
 
       // Play the sound
       window.gameFunctions.manageSoundElement(gameState.selectedSounds[0], true)
 
       // Verify the sound is playing and has the filter applied
-      expect(mockAudio.paused).to.be.false
-      expect(mockAudio.loop).to.be.true
-      expect(gameState.selectedSounds[0].lowpassFilter).to.equal(200)
+      const [voice] = gameState.activeVoices
+      expect(voice.source.started).to.be.true
+      expect(voice.source.loop).to.be.true
+      const lowpassNode = voice.effectChain.nodes.find((node) => node.type === 'lowpass')
+      expect(lowpassNode.frequency.value).to.equal(200)
+
+      // Stopping the sound disconnects the whole chain
+      window.gameFunctions.manageSoundElement(gameState.selectedSounds[0], false)
+      expect(gameState.activeVoices).to.be.empty
+      expect(voice.source.stopped).to.be.true
+      voice.effectChain.nodes.forEach((node) => expect(node.connections).to.be.empty)
     })
 
     it('should handle empty selectedSounds array', function () {
@@ -544,10 +616,523 @@ describe('Risk Functions', function () {
       // Verify sounds were selected and filter was applied
       expect(gameState.selectedSounds.length).to.be.greaterThan(0)
       gameState.selectedSounds.forEach((sound) => {
-        if (!sound.isTinnitus) {
-          expect(sound.lowpassFilter).to.equal(200)
+        if (!sound.isOverlay) {
+          expect(sound.effects).to.deep.include({ type: 'lowpass', frequency: 200, Q: 1 })
         }
       })
     })
   })
+
+  describe('loud_rumble risk function', function () {
+    const rumbleRecipient = {
+      group: 'ubodzy',
+      label: 'osoba wykluczona ekonomicznie',
+      risk_function: 'loud_rumble'
+    }
+
+    it('should add a rumble layer instead of an extra sound', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = [
+        { pollution: 'przemysł', sound_file: 'factory.mp3', amplitude: '70-90 dB', is_antropo: true },
+        { pollution: 'ptaki', sound_file: 'birds.mp3', amplitude: '40-60 dB', is_antropo: false }
+      ]
+      gameState.selectedSounds = [gameState.pollutions[1]]
+      gameState.selectedRecipients = [rumbleRecipient]
+
+      window.gameFunctions.applyRiskFunctions()
+
+      expect(gameState.selectedSounds.map((sound) => sound.pollution)).to.deep.equal(['ptaki'])
+      expect(gameState.backgroundLayers.map((layer) => layer.type)).to.deep.equal(['rumble'])
+    })
+
+    it('should boost the low end of anthropogenic sounds only', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.selectedSounds = [
+        { pollution: 'kolej', sound_file: 'train.mp3', amplitude: '70-90 dB', is_antropo: true },
+        { pollution: 'ptaki', sound_file: 'birds.mp3', amplitude: '40-60 dB', is_antropo: false }
+      ]
+      gameState.selectedRecipients = [rumbleRecipient]
+
+      window.gameFunctions.applyRiskFunctions()
+
+      const [train, birds] = gameState.selectedSounds
+      expect(train.effects).to.have.lengthOf(1)
+      expect(train.effects[0].type).to.equal('lowshelf')
+      expect(train.effects[0].gain).to.be.greaterThan(0)
+      expect(birds.effects).to.be.empty
+    })
+
+    it('should tie the rumble level to the amplitude of the selected sounds', function () {
+      const quiet = window.gameFunctions.computeRumbleLevel([{ pollution: 'pszczoły', amplitude: '30-50 dB' }])
+      const loud = window.gameFunctions.computeRumbleLevel([{ pollution: 'samolot', amplitude: '120-150 dB' }])
+      const none = window.gameFunctions.computeRumbleLevel([{ pollution: 'invalid', amplitude: 'invalid' }])
+
+      expect(loud).to.be.greaterThan(quiet)
+      expect(quiet).to.be.greaterThan(0)
+      expect(loud).to.be.at.most(0.4)
+      expect(none).to.equal(quiet)
+    })
+
+    it('should play a looping low-passed drone under the mix', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.backgroundLayers = [window.gameFunctions.createRumbleLayer([{ amplitude: '70-90 dB' }])]
+
+      window.gameFunctions.startBackgroundLayers()
+
+      const [noise, lowpass, drone, levelGain] = gameState.activeLayers[0].nodes
+      expect(noise.loop).to.be.true
+      expect(noise.started).to.be.true
+      expect(drone.started).to.be.true
+      expect(lowpass.type).to.equal('lowpass')
+      expect(lowpass.frequency.value).to.be.at.most(200)
+      expect(drone.frequency.value).to.be.below(60)
+      expect(levelGain.gain.value).to.equal(gameState.backgroundLayers[0].level)
+      expect(levelGain.connections).to.deep.equal([window.gameFunctions.getAudioEngine().submixes.overlay])
+
+      window.gameFunctions.stopAllSounds()
+      expect(noise.stopped).to.be.true
+      expect(drone.stopped).to.be.true
+    })
+  })
+
+  describe('distorted_song_pattern risk function', function () {
+    const birdsRecipient = {
+      group: 'ptaki_miejskie',
+      label: 'ptaki w środowisku miejskim',
+      risk_function: 'distorted_song_pattern'
+    }
+    const findBirdsong = (sounds) => sounds.find((sound) => sound.pollution === BIRDSONG_DEFAULTS.name)
+    const maskingGain = (birdsong) => birdsong.effects.find((effect) => effect.type === 'gain').value
+
+    it('should add a birdsong overlay that is not part of the guess grid', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = [{ pollution: 'kolej', sound_file: 'train.mp3', amplitude: '70-90 dB', is_antropo: true }]
+      gameState.selectedSounds = [...gameState.pollutions]
+      gameState.selectedRecipients = [birdsRecipient]
+
+      window.gameFunctions.applyRiskFunctions()
+      window.gameFunctions.createSoundGrid()
+
+      const birdsong = findBirdsong(gameState.selectedSounds)
+      expect(birdsong.isOverlay).to.be.true
+      const buttons = Array.from(document.querySelectorAll('.sound-button'))
+      expect(buttons.map((button) => button.dataset.sound)).to.deep.equal(['kolej'])
+    })
+
+    it('should pitch the song up and cut its low notes', function () {
+      const birdsong = window.gameFunctions.createDistortedSongSound([])
+
+      expect(birdsong.playbackRate).to.be.greaterThan(1)
+      expect(birdsong.effects[0].type).to.equal('highpass')
+    })
+
+    it('should drown the birds out as anthropogenic sounds are added', function () {
+      const traffic = { pollution: 'ruch_uliczny', amplitude: '45-75 dB', is_antropo: true }
+      const river = { pollution: 'dźwięk rzeki', amplitude: '40-80 dB', is_antropo: false }
+
+      const quiet = window.gameFunctions.createDistortedSongSound([river])
+      const busy = window.gameFunctions.createDistortedSongSound([river, traffic])
+      const busier = window.gameFunctions.createDistortedSongSound([river, traffic, { ...traffic, pollution: 'kolej' }])
+
+      expect(maskingGain(quiet)).to.equal(1)
+      expect(maskingGain(busy)).to.be.below(maskingGain(quiet))
+      expect(maskingGain(busier)).to.be.below(maskingGain(busy))
+      expect(busier.playbackRate).to.be.greaterThan(quiet.playbackRate)
+    })
+
+    it('should play the birdsong faster, raising its pitch', function () {
+      const gameState = window.gameFunctions.getGameState()
+      const birdsong = window.gameFunctions.createDistortedSongSound([])
+      gameState.preloadedSounds.set(birdsong.pollution, createMockAudioBuffer())
+
+      window.gameFunctions.manageSoundElement(birdsong, true)
+
+      const [voice] = gameState.activeVoices
+      expect(voice.source.started).to.be.true
+      // A buffer source resamples, so pitch and tempo rise together
+      expect(voice.source.playbackRate.value).to.equal(birdsong.playbackRate)
+      const highpass = voice.effectChain.nodes.find((node) => node.type === 'highpass')
+      expect(highpass.frequency.value).to.equal(1500)
+    })
+
+    it('should add a single birdsong when applied again', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = [{ pollution: 'kolej', sound_file: 'train.mp3', amplitude: '70-90 dB', is_antropo: true }]
+      gameState.selectedSounds = [...gameState.pollutions]
+      gameState.selectedRecipients = [birdsRecipient]
+
+      window.gameFunctions.applyRiskFunctions()
+      window.gameFunctions.applyRiskFunctions()
+
+      const birdsongs = gameState.selectedSounds.filter((sound) => sound.pollution === BIRDSONG_DEFAULTS.name)
+      expect(birdsongs).to.have.lengthOf(1)
+    })
+  })
+
+  describe('reverbation risk function', function () {
+    const batRecipient = {
+      group: 'nietoperze',
+      label: 'nietoperz',
+      risk_function: 'reverbation',
+      params: { impulse: 'forest', mix: 0.6 }
+    }
+
+    it('should take the impulse response and mix from the recipient', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = [{ pollution: 'car', sound_file: 'car.mp3', amplitude: '50-70' }]
+      gameState.selectedSounds = [...gameState.pollutions]
+      gameState.selectedRecipients = [batRecipient]
+
+      window.gameFunctions.applyRiskFunctions()
+
+      expect(gameState.selectedSounds[0].effects).to.deep.equal([{ type: 'reverb', impulse: 'forest', mix: 0.6 }])
+    })
+
+    it('should keep the dry signal next to the reverberated one', function () {
+      const context = new MockAudioContext()
+      const source = context.createGain()
+      const chain = window.gameFunctions.buildEffectChain(
+        context,
+        source,
+        [{ type: 'reverb', impulse: 'street_canyon', mix: 0.25 }],
+        context.destination
+      )
+
+      const [input, convolver, wetGain, dryGain, output] = chain.nodes
+      expect(input.connections).to.deep.equal([convolver, dryGain])
+      expect(wetGain.gain.value).to.equal(0.25)
+      expect(dryGain.gain.value).to.equal(0.75)
+      expect(wetGain.connections).to.deep.equal([output])
+      expect(dryGain.connections).to.deep.equal([output])
+      expect(output.connections).to.deep.equal([context.destination])
+    })
+
+    it('should compute each impulse response once per context', function () {
+      const context = new MockAudioContext()
+      const first = window.gameFunctions.getImpulseResponse(context, 'cave')
+      const second = window.gameFunctions.getImpulseResponse(context, 'cave')
+
+      expect(second).to.equal(first)
+      expect(window.gameFunctions.getImpulseResponse(context, 'forest')).to.not.equal(first)
+    })
+
+    it('should generate the same impulse response in every game', function () {
+      const first = window.gameFunctions.getImpulseResponse(new MockAudioContext(), 'street_canyon')
+      const second = window.gameFunctions.getImpulseResponse(new MockAudioContext(), 'street_canyon')
+
+      expect(second).to.not.equal(first)
+      expect(Array.from(second.getChannelData(0).slice(0, 2000))).to.deep.equal(
+        Array.from(first.getChannelData(0).slice(0, 2000))
+      )
+    })
+
+    it('should give presets different tail lengths', function () {
+      const context = new MockAudioContext()
+      const cave = window.gameFunctions.getImpulseResponse(context, 'cave')
+      const forest = window.gameFunctions.getImpulseResponse(context, 'forest')
+
+      expect(cave.duration).to.be.greaterThan(forest.duration)
+    })
+
+    it('should fall back to the default impulse response for unknown names', function () {
+      const context = new MockAudioContext()
+      const originalError = console.error
+      console.error = () => {}
+      const unknown = window.gameFunctions.getImpulseResponse(context, 'cathedral')
+      console.error = originalError
+
+      expect(unknown).to.equal(window.gameFunctions.getImpulseResponse(context, 'cave'))
+    })
+  })
+
+  describe('session sounds', function () {
+    const catalogue = () => [
+      Object.freeze({ pollution: 'kolej', sound_file: 'train.mp3', amplitude: '70-90 dB', is_antropo: true }),
+      Object.freeze({ pollution: 'dźwięk rzeki', sound_file: 'river.mp3', amplitude: '40-80 dB', is_antropo: false })
+    ]
+
+    const playRound = (recipients) => {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.selectedSounds = [...gameState.pollutions]
+      gameState.selectedRecipients = recipients
+      window.gameFunctions.applyRiskFunctions()
+      return gameState.selectedSounds
+    }
+
+    it('should derive per-round instances instead of modifying catalogue entries', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = catalogue()
+
+      const sounds = playRound([{ group: 'seniorzy', risk_function: 'lowpass_filter' }])
+
+      expect(sounds[0]).to.not.equal(gameState.pollutions[0])
+      expect(sounds[0].catalogueEntry).to.equal(gameState.pollutions[0])
+      expect(sounds[0].effects).to.have.lengthOf(1)
+      gameState.pollutions.forEach((entry) => expect(entry).to.not.have.property('effects'))
+    })
+
+    it('should not carry effects over to the next round', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = catalogue()
+
+      playRound([
+        { group: 'seniorzy', risk_function: 'lowpass_filter' },
+        { group: 'nietoperze', risk_function: 'reverbation' }
+      ])
+      window.gameFunctions.resetGame()
+      const secondRound = playRound([{ group: 'mlodziez', risk_function: 'highpass_filter' }])
+
+      secondRound.forEach((sound) => {
+        expect(sound.effects).to.deep.equal([{ type: 'highpass', frequency: 2000, Q: 1 }])
+      })
+    })
+
+    it('should give every round its own instances of the same catalogue entry', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = catalogue()
+
+      const [first] = playRound([{ group: 'seniorzy', risk_function: 'lowpass_filter' }])
+      const [second] = playRound([{ group: 'test', risk_function: 'low_amplified' }])
+
+      expect(second).to.not.equal(first)
+      expect(first.effects).to.deep.equal([{ type: 'lowpass', frequency: 200, Q: 1 }])
+      expect(second.effects).to.deep.equal([{ type: 'lowshelf', frequency: 300, gain: 10 }])
+    })
+
+    it('should rebuild from the catalogue when applied twice in one round', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = catalogue()
+      gameState.selectedSounds = [...gameState.pollutions]
+      gameState.selectedRecipients = [{ group: 'seniorzy', risk_function: 'lowpass_filter' }]
+
+      window.gameFunctions.applyRiskFunctions()
+      window.gameFunctions.applyRiskFunctions()
+
+      expect(gameState.selectedSounds[0].effects).to.have.lengthOf(1)
+      expect(gameState.selectedSounds[0].catalogueEntry).to.equal(gameState.pollutions[0])
+    })
+  })
+
+  describe('risk function registry', function () {
+    let originalError
+    let errors
+
+    beforeEach(function () {
+      originalError = console.error
+      errors = []
+      console.error = (...args) => errors.push(args.join(' '))
+    })
+
+    afterEach(function () {
+      console.error = originalError
+    })
+
+    const applyWithRecipient = (recipient) => {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = [{ pollution: 'car', sound_file: 'car.mp3', amplitude: '50-70', is_antropo: true }]
+      gameState.selectedSounds = [...gameState.pollutions]
+      gameState.selectedRecipients = [recipient]
+      window.gameFunctions.applyRiskFunctions()
+      return gameState
+    }
+
+    it('should apply parameters from recipients.json', function () {
+      const gameState = applyWithRecipient({ group: 'seniorzy', risk_function: 'lowpass_filter', params: { cutoff: 800 } })
+
+      expect(gameState.selectedSounds[0].effects).to.deep.equal([{ type: 'lowpass', frequency: 800, Q: 1 }])
+      expect(errors).to.be.empty
+    })
+
+    it('should use schema defaults for missing parameters', function () {
+      const gameState = applyWithRecipient({ group: 'slaboslyszacy', risk_function: 'bandpass_filter' })
+
+      expect(gameState.selectedSounds[0].effects).to.deep.equal([
+        { type: 'highpass', frequency: 500, Q: 1 },
+        { type: 'lowpass', frequency: 2000, Q: 1 }
+      ])
+    })
+
+    it('should clamp parameters to the schema range', function () {
+      const params = window.gameFunctions.resolveRiskParams(
+        'low_amplified',
+        window.gameFunctions.getRiskFunction('low_amplified').params,
+        { gain: 100 }
+      )
+
+      expect(params).to.deep.equal({ frequency: 300, gain: 24 })
+    })
+
+    it('should report invalid and unknown parameters and fall back to defaults', function () {
+      const schema = window.gameFunctions.getRiskFunction('reverbation').params
+      const params = window.gameFunctions.resolveRiskParams('reverbation', schema, {
+        impulse: 'cathedral',
+        mix: 'half',
+        wet: 0.3
+      })
+
+      expect(params).to.deep.equal({ impulse: 'cave', mix: 0.35 })
+      expect(errors).to.have.lengthOf(3)
+      expect(errors.some((message) => message.includes('"wet"'))).to.be.true
+    })
+
+    it('should pass tinnitus parameters to the synthesized tone', function () {
+      const gameState = applyWithRecipient({
+        group: 'tinnitus',
+        risk_function: 'right_channel_sine',
+        params: { frequency: 7000, level: 0.1, wobble_depth: 0 }
+      })
+
+      expect(gameState.backgroundLayers[0]).to.deep.equal({ type: 'tinnitus', frequency: 7000, level: 0.1, wobble: null })
+    })
+
+    it('should apply a risk function once even if several recipients use it', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = [{ pollution: 'car', sound_file: 'car.mp3', amplitude: '50-70' }]
+      gameState.selectedSounds = [...gameState.pollutions]
+      gameState.selectedRecipients = [
+        { group: 'a', risk_function: 'highpass_filter', params: { cutoff: 3000 } },
+        { group: 'b', risk_function: 'highpass_filter' }
+      ]
+
+      window.gameFunctions.applyRiskFunctions()
+
+      expect(gameState.selectedSounds[0].effects).to.deep.equal([{ type: 'highpass', frequency: 3000, Q: 1 }])
+    })
+
+    it('should report unknown risk functions instead of ignoring them', function () {
+      const gameState = applyWithRecipient({ group: 'aparaty', risk_function: 'hearing_aid' })
+
+      expect(gameState.selectedSounds[0].effects).to.be.empty
+      expect(errors.some((message) => message.includes('hearing_aid'))).to.be.true
+    })
+
+    it('should show a notice for recipients with an unknown risk function', function () {
+      const container = document.createElement('div')
+      const element = window.gameFunctions.createRecipientUI(
+        { group: 'aparaty', label: 'osoba z aparatem słuchowym', risk_function: 'hearing_aid', description: '' },
+        container
+      )
+
+      expect(element.querySelector('input').disabled).to.be.true
+      expect(element.querySelector('.recipient-notice').textContent).to.include('hearing_aid')
+    })
+
+    it('should know every risk function used in recipients.json', async function () {
+      const response = await fetch('../components/recipients.json')
+      const recipients = await response.json()
+
+      recipients.forEach((recipient) => {
+        expect(window.gameFunctions.getRiskFunction(recipient.risk_function), recipient.group).to.not.be.null
+      })
+    })
+  })
+
+  describe('effect chain', function () {
+    // Follows the first connection of every node from the source to the destination
+    const collectChainPath = (source, destination) => {
+      const path = []
+      let node = source.connections[0]
+      while (node && node !== destination) {
+        path.push(node)
+        node = node.connections[0]
+      }
+      return path
+    }
+
+    it('should stack every effect of combined recipients in one graph', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = [{ pollution: 'car', sound_file: 'car.mp3', amplitude: '50-70' }]
+      gameState.selectedSounds = [...gameState.pollutions]
+      gameState.selectedRecipients = [
+        { group: 'slaboslyszacy', label: 'osoba słabosłysząca', risk_function: 'bandpass_filter' },
+        { group: 'nietoperze', label: 'nietoperz', risk_function: 'reverbation' },
+        { group: 'test', label: 'Test Group', risk_function: 'low_amplified' }
+      ]
+
+      window.gameFunctions.applyRiskFunctions()
+
+      gameState.preloadedSounds.set('car', createMockAudioBuffer())
+      window.gameFunctions.manageSoundElement(gameState.selectedSounds[0], true)
+
+      const submix = window.gameFunctions.getSoundSubmix(gameState.selectedSounds[0])
+      const path = collectChainPath(gameState.activeVoices[0].source, submix)
+      const stageTypes = path.map((node) => node.type || (node.buffer ? 'convolver' : 'gain'))
+      expect(stageTypes).to.deep.equal(['gain', 'highpass', 'lowpass', 'gain', 'convolver', 'gain', 'gain', 'lowshelf'])
+      expect(path[path.length - 1].connections).to.include(submix)
+    })
+
+    it('should build the chain in descriptor order', function () {
+      const context = new MockAudioContext()
+      const source = context.createGain()
+      const chain = window.gameFunctions.buildEffectChain(
+        context,
+        source,
+        [
+          { type: 'lowshelf', frequency: 300, gain: 10 },
+          { type: 'lowpass', frequency: 1500, Q: 1 }
+        ],
+        context.destination
+      )
+
+      expect(chain.nodes).to.have.lengthOf(2)
+      expect(source.connections[0]).to.equal(chain.nodes[0])
+      expect(chain.nodes[0].type).to.equal('lowshelf')
+      expect(chain.nodes[0].gain.value).to.equal(10)
+      expect(chain.nodes[0].connections[0]).to.equal(chain.nodes[1])
+      expect(chain.nodes[1].type).to.equal('lowpass')
+      expect(chain.nodes[1].connections[0]).to.equal(context.destination)
+    })
+
+    it('should connect the source straight to the destination without effects', function () {
+      const context = new MockAudioContext()
+      const source = context.createGain()
+      const chain = window.gameFunctions.buildEffectChain(context, source, [], context.destination)
+
+      expect(chain.nodes).to.be.empty
+      expect(source.connections).to.deep.equal([context.destination])
+    })
+
+    it('should tear down the chain when all sounds are stopped', function () {
+      const gameState = window.gameFunctions.getGameState()
+      const sound = { pollution: 'car', sound_file: 'car.mp3', amplitude: '50-70' }
+      window.gameFunctions.addSoundEffect(sound, { type: 'highpass', frequency: 2000, Q: 1 })
+
+      gameState.preloadedSounds.set('car', createMockAudioBuffer())
+      window.gameFunctions.manageSoundElement(sound, true)
+      const [voice] = gameState.activeVoices
+
+      window.gameFunctions.stopAllSounds()
+
+      expect(voice.source.stopped).to.be.true
+      expect(voice.source.connections).to.be.empty
+      voice.effectChain.nodes.forEach((node) => expect(node.connections).to.be.empty)
+    })
+
+    it('should replace the voice when a sound is played again', function () {
+      const gameState = window.gameFunctions.getGameState()
+      const sound = { pollution: 'car', sound_file: 'car.mp3', amplitude: '50-70' }
+      gameState.preloadedSounds.set('car', createMockAudioBuffer())
+
+      window.gameFunctions.manageSoundElement(sound, true)
+      const [first] = gameState.activeVoices
+      window.gameFunctions.manageSoundElement(sound, true)
+
+      expect(first.source.stopped).to.be.true
+      expect(gameState.activeVoices).to.have.lengthOf(1)
+      expect(gameState.activeVoices[0]).to.not.equal(first)
+      expect(gameState.activeSounds).to.deep.equal([sound])
+    })
+
+    it('should not accumulate effects when risk functions are applied again', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = [{ pollution: 'car', sound_file: 'car.mp3', amplitude: '50-70' }]
+      gameState.selectedSounds = [...gameState.pollutions]
+      gameState.selectedRecipients = [{ group: 'płód', label: 'płód', risk_function: 'lowpass_filter' }]
+
+      window.gameFunctions.applyRiskFunctions()
+      window.gameFunctions.applyRiskFunctions()
+
+      expect(gameState.selectedSounds[0].effects).to.have.lengthOf(1)
+    })
+  })
 })
@@ -0,0 +1,297 @@
+/**
+ * Sound Pollution Challenge Game - Test Suite
+ * Tests the local statistics stored in localStorage and the stats page.
+ */
+
+describe('Stats tests', function () {
+  const createEntry = (overrides = {}) => ({
+    date: '2026-01-01T10:00:00.000Z',
+    round: 1,
+    score: 50,
+    totalScore: 50,
+    recipients: [{ group: 'seniorzy', label: 'osoba starsza' }],
+    sounds: ['car'],
+    guesses: [{ sound: 'car', correct: true }],
+    listeningTime: 30,
+    ...overrides
+  })
+
+  beforeEach(function () {
+    window.gameFunctions.resetGameState()
+    window.gameFunctions.clearStats()
+  })
+
+  afterEach(function () {
+    window.gameFunctions.clearStats()
+  })
+
+  describe('Storage', function () {
+    it('should keep recorded rounds across loads', function () {
+      window.gameFunctions.recordRoundStats(createEntry())
+      window.gameFunctions.recordRoundStats(createEntry({ round: 2, score: 20 }))
+
+      const { rounds } = window.gameFunctions.loadStats()
+      expect(rounds.map((round) => round.score)).to.deep.equal([50, 20])
+    })
+
+    it('should clear every stored round', function () {
+      window.gameFunctions.recordRoundStats(createEntry())
+
+      window.gameFunctions.clearStats()
+
+      expect(window.gameFunctions.loadStats().rounds).to.be.empty
+    })
+
+    it('should start over when the stored data is broken', function () {
+      const originalError = console.error
+      console.error = () => {}
+
+      try {
+        window.localStorage.setItem('soundPollutionStats:test', '{not json')
+        expect(window.gameFunctions.loadStats().rounds).to.be.empty
+      } finally {
+        console.error = originalError
+      }
+    })
+
+    it('should record every finished round of a game', function () {
+      document.body.innerHTML = '<div id="gamePlay"></div><div id="roundSummary"></div>'
+      const gameState = window.gameFunctions.getGameState()
+      const car = { pollution: 'car', sound_file: 'car.mp3', amplitude: '50-70' }
+      gameState.pollutions = [car, { pollution: 'train', sound_file: 'train.mp3', amplitude: '60-80' }]
+      gameState.selectedRecipients = [{ group: 'seniorzy', label: 'osoba starsza', description: 'opis' }]
+      gameState.selectedSounds = [window.gameFunctions.createSessionSound(car)]
+      gameState.activeSounds = [...gameState.selectedSounds]
+      gameState.timeRemaining = 30
+      gameState.listeningTime = 30
+
+      window.gameFunctions.adjustTime(-10)
+      window.gameFunctions.makeGuess(gameState.pollutions[1])
+      window.gameFunctions.makeGuess(car)
+      window.gameFunctions.endGuessingPhase()
+
+      const [entry] = window.gameFunctions.loadStats().rounds
+      expect(entry.round).to.equal(1)
+      expect(entry.score).to.equal(gameState.score)
+      expect(entry.recipients).to.deep.equal([{ group: 'seniorzy', label: 'osoba starsza' }])
+      expect(entry.sounds).to.deep.equal(['car'])
+      expect(entry.guesses).to.deep.equal([
+        { sound: 'train', correct: false, activeSounds: ['car'] },
+        { sound: 'car', correct: true, activeSounds: ['car'] }
+      ])
+      expect(entry.listeningTime).to.equal(20)
+    })
+  })
+
+  describe('Top scores', function () {
+    it('should rank rounds per recipient combination regardless of recipient order', function () {
+      const bats = { group: 'nietoperze', label: 'nietoperz' }
+      const seniors = { group: 'seniorzy', label: 'osoba starsza' }
+      const rounds = [
+        createEntry({ score: 10, recipients: [bats, seniors] }),
+        createEntry({ score: 80, recipients: [seniors, bats] }),
+        createEntry({ score: 40, recipients: [seniors] }),
+        ...Array.from({ length: 12 }, (_, index) => createEntry({ score: index, recipients: [seniors] }))
+      ]
+
+      const groups = window.gameFunctions.getTopScores(rounds)
+
+      expect(groups.map((group) => group.key)).to.deep.equal(['nietoperze+seniorzy', 'seniorzy'])
+      expect(groups[0].rounds.map((round) => round.score)).to.deep.equal([80, 10])
+      expect(groups[1].rounds).to.have.lengthOf(10)
+      expect(groups[1].rounds[0].score).to.equal(40)
+    })
+  })
+
+  describe('Sound knowledge', function () {
+    const bee = (found) =>
+      createEntry({ sounds: ['lot pszczoły'], guesses: found ? [{ sound: 'lot pszczoły', correct: true }] : [] })
+
+    it('should count plays, recognitions, false positives and the current streak per sound', function () {
+      const rounds = [
+        bee(false),
+        bee(true),
+        bee(true),
+        createEntry({ sounds: ['cykady'], guesses: [{ sound: 'lot pszczoły', correct: false }] })
+      ]
+
+      const soundStats = window.gameFunctions.getSoundStats(rounds)
+
+      expect(soundStats.get('lot pszczoły')).to.deep.equal({ played: 3, found: 2, falsePositives: 1, streak: 2 })
+      expect(soundStats.get('cykady')).to.deep.equal({ played: 1, found: 0, falsePositives: 0, streak: 0 })
+    })
+
+    it('should weight missed sounds above unseen ones and space out known ones', function () {
+      const soundStats = window.gameFunctions.getSoundStats([bee(true), bee(true), bee(true)])
+      const missed = window.gameFunctions.getSoundStats([bee(false), bee(false)])
+
+      const knownWeight = window.gameFunctions.getSoundWeight(soundStats.get('lot pszczoły'))
+      const unseenWeight = window.gameFunctions.getSoundWeight(undefined)
+      const missedWeight = window.gameFunctions.getSoundWeight(missed.get('lot pszczoły'))
+
+      expect(knownWeight).to.be.lessThan(unseenWeight)
+      expect(unseenWeight).to.be.lessThan(missedWeight)
+      expect(window.gameFunctions.getSoundKnowledge(soundStats.get('lot pszczoły'))).to.equal('known')
+      expect(window.gameFunctions.getSoundKnowledge(missed.get('lot pszczoły'))).to.equal('difficult')
+    })
+
+    it('should pick indexes in proportion to their weights', function () {
+      expect(window.gameFunctions.pickWeightedIndex([1, 3], 0.2)).to.equal(0)
+      expect(window.gameFunctions.pickWeightedIndex([1, 3], 0.3)).to.equal(1)
+      expect(window.gameFunctions.pickWeightedIndex([0, 1, 0], 0)).to.equal(1)
+    })
+
+    it('should favor sounds the player struggles with in adaptive mode', function () {
+      const gameState = window.gameFunctions.getGameState()
+      gameState.pollutions = [{ pollution: 'cykady' }, { pollution: 'lot pszczoły' }]
+      ;[1, 2, 3, 4].forEach(() => {
+        window.gameFunctions.recordRoundStats(bee(false))
+        window.gameFunctions.recordRoundStats(
+          createEntry({ sounds: ['cykady'], guesses: [{ sound: 'cykady', correct: true }] })
+        )
+      })
+      gameState.random = () => 0.05
+
+      gameState.adaptiveSelection = false
+      const [uniform] = window.gameFunctions.selectRandomSounds(1)
+      gameState.adaptiveSelection = true
+      const [adaptive] = window.gameFunctions.selectRandomSounds(1)
+
+      // Always recognized cykady keep a tiny share, the always missed bee takes the rest
+      expect(uniform.pollution).to.equal('cykady')
+      expect(adaptive.pollution).to.equal('lot pszczoły')
+    })
+
+    it('should list played sounds from the hardest on the stats page', function () {
+      document.body.innerHTML = '<ul id="statsSounds"></ul>'
+      window.gameFunctions.recordRoundStats(bee(true))
+      window.gameFunctions.recordRoundStats(createEntry({ sounds: ['cykady'], guesses: [] }))
+
+      window.gameFunctions.renderStats()
+
+      const items = document.querySelectorAll('#statsSounds .stats-sound')
+      expect(items).to.have.lengthOf(2)
+      expect(items[0].querySelector('strong').textContent).to.equal('cykady')
+      expect(items[0].classList.contains('stats-sound-difficult')).to.be.true
+      expect(items[1].querySelector('.stats-sound-details').textContent).to.equal('1 z 1 rozpoznanych (100%)')
+    })
+  })
+
+  describe('Confusion matrix', function () {
+    const rounds = [
+      createEntry({
+        sounds: ['car', 'train', 'dog'],
+        guesses: [
+          { sound: 'car', correct: true, activeSounds: ['car', 'train', 'dog'] },
+          { sound: 'tram', correct: false, activeSounds: ['car', 'train', 'dog'] }
+        ]
+      }),
+      createEntry({ sounds: ['train'], guesses: [{ sound: 'tram', correct: false }] })
+    ]
+
+    it('should share wrong guesses between the playing sounds that were not recognized', function () {
+      const matrix = window.gameFunctions.getConfusionMatrix(rounds)
+
+      expect(matrix.played).to.deep.equal(['car', 'dog', 'train'])
+      expect(matrix.guessed).to.deep.equal(['car', 'dog', 'train', 'tram', 'nie wskazano'])
+      expect(matrix.counts.get('car').get('car')).to.equal(1)
+      expect(matrix.counts.get('car').has('tram')).to.be.false
+      expect(matrix.counts.get('dog').get('tram')).to.equal(0.5)
+      expect(matrix.counts.get('train').get('tram')).to.equal(1.5)
+      expect(matrix.counts.get('train').get('nie wskazano')).to.equal(2)
+    })
+
+    it('should export the matrix as CSV', function () {
+      const csv = window.gameFunctions.confusionMatrixToCsv(window.gameFunctions.getConfusionMatrix(rounds))
+
+      expect(csv.split('\n')).to.deep.equal([
+        'odtworzony \\ wskazany,car,dog,train,tram,nie wskazano',
+        'car,1,0,0,0,0',
+        'dog,0,0,0,0.5,1',
+        'train,0,0,0,1.5,2'
+      ])
+    })
+
+    it('should keep the CSV link valid until the download has started', async function () {
+      const { createObjectURL, revokeObjectURL } = URL
+      const originalClick = HTMLAnchorElement.prototype.click
+      const revoked = []
+      let validOnClick = null
+      URL.createObjectURL = () => 'blob:confusion'
+      URL.revokeObjectURL = (url) => revoked.push(url)
+      HTMLAnchorElement.prototype.click = function () {
+        validOnClick = this.href === 'blob:confusion' && !revoked.includes(this.href)
+      }
+
+      try {
+        window.gameFunctions.downloadConfusionCsv()
+        expect(revoked).to.be.empty
+        await new Promise((resolve) => setTimeout(resolve, 0))
+      } finally {
+        URL.createObjectURL = createObjectURL
+        URL.revokeObjectURL = revokeObjectURL
+        HTMLAnchorElement.prototype.click = originalClick
+      }
+
+      expect(validOnClick).to.be.true
+      expect(revoked).to.deep.equal(['blob:confusion'])
+    })
+
+    it('should draw the matrix as a heatmap on the stats page', function () {
+      document.body.innerHTML = '<table id="confusionMatrix"></table>'
+      rounds.forEach((round) => window.gameFunctions.recordRoundStats(round))
+
+      window.gameFunctions.renderStats()
+
+      const rows = document.querySelectorAll('#confusionMatrix tbody tr')
+      expect(rows).to.have.lengthOf(3)
+      expect(rows[0].querySelector('th').textContent).to.equal('car')
+      expect(rows[0].querySelector('td').classList.contains('confusion-correct')).to.be.true
+      expect(rows[2].querySelectorAll('td')[3].textContent).to.equal('1.5')
+      expect(rows[2].querySelectorAll('td')[3].style.getPropertyValue('--confusion-share')).to.equal(String(1.5 / 3.5))
+    })
+  })
+
+  describe('Stats page', function () {
+    beforeEach(function () {
+      document.body.innerHTML = `
+      <p id="statsEmpty" style="display: none"></p>
+      <svg id="statsHistory"></svg>
+      <div id="statsTables"></div>
+      <button id="clearStats"></button>
+    `
+    })
+
+    it('should show a table per recipient combination and the score history', function () {
+      window.gameFunctions.recordRoundStats(createEntry())
+      window.gameFunctions.recordRoundStats(createEntry({ score: -20, recipients: [] }))
+
+      window.gameFunctions.renderStats()
+
+      const tables = document.querySelectorAll('#statsTables .stats-top')
+      expect(tables).to.have.lengthOf(2)
+      expect(tables[0].querySelector('h3').textContent).to.equal('osoba starsza')
+      expect(tables[1].querySelector('h3').textContent).to.equal('Bez grupy odbiorców')
+      expect(tables[0].querySelectorAll('tbody td')[4].textContent).to.equal('1 z 1')
+      expect(document.querySelectorAll('#statsHistory .stats-history-point')).to.have.lengthOf(2)
+      expect(document.getElementById('statsEmpty').style.display).to.equal('none')
+    })
+
+    it('should clear the stats after confirmation', function () {
+      const originalConfirm = window.confirm
+      window.confirm = () => true
+      window.gameFunctions.recordRoundStats(createEntry())
+
+      try {
+        window.gameFunctions.initStatsPage()
+        document.getElementById('clearStats').click()
+      } finally {
+        window.confirm = originalConfirm
+      }
+
+      expect(window.gameFunctions.loadStats().rounds).to.be.empty
+      expect(document.querySelectorAll('#statsTables .stats-top')).to.have.lengthOf(0)
+      expect(document.getElementById('statsEmpty').style.display).to.equal('block')
+    })
+  })
+})
@@ -0,0 +1,138 @@
+/**
+ * Sound Pollution Challenge Game - Test Suite
+ * Tests the schema validation of the JSON data, including the files shipped with the game.
+ */
+
+describe('Validation tests', function () {
+  const createPollution = (overrides = {}) => ({
+    pollution: 'kolej',
+    amplitude: { min_db: 60, max_db: 100, typical_db: 75 },
+    frequency: 'codziennie',
+    sound_file: ['sounds/train.ogg'],
+    sound_file_sources: ['https://freesound.org/people/someone/sounds/1/'],
+    affects: ['mieszkańcy w pobliżu torów'],
+    is_antropo: true,
+    ...overrides
+  })
+
+  const createRecipient = (overrides = {}) => ({
+    group: 'seniorzy',
+    label: 'osoba starsza',
+    risk_function: 'lowpass_filter',
+    difficulty_bonus: 0.4,
+    description: 'opis',
+    source: 'https://example.org',
+    source_name: 'Źródło (wydawca)',
+    ...overrides
+  })
+
+  describe('Shipped data', function () {
+    it('should have no problems in pollutions.json', async function () {
+      const response = await fetch('../components/pollutions.json')
+
+      expect(window.gameFunctions.validatePollutions(await response.json())).to.deep.equal([])
+    })
+
+    it('should have no problems in recipients.json', async function () {
+      const response = await fetch('../components/recipients.json')
+
+      expect(window.gameFunctions.validateRecipients(await response.json())).to.deep.equal([])
+    })
+  })
+
+  describe('Pollutions', function () {
+    it('should accept structured amplitudes and the legacy strings', function () {
+      const amplitudes = [{ min_db: 60, max_db: 134, typical_db: 60 }, '60-134 dB', 'up to 80 dB', '45 dB', '70-90', 85]
+
+      amplitudes.forEach((amplitude) => {
+        expect(window.gameFunctions.validatePollutions([createPollution({ amplitude })]), amplitude).to.be.empty
+      })
+    })
+
+    it('should report missing fields, bad amplitudes and unpaired sources', function () {
+      const problems = window.gameFunctions.validatePollutions([
+        createPollution({ amplitude: 'głośno' }),
+        createPollution({ pollution: 'samolot', amplitude: '90-60 dB', sound_file: 'sounds/plane.ogg' }),
+        createPollution({ pollution: 'pociąg', amplitude: { min_db: 60, max_db: 80, typical_db: 90 } }),
+        createPollution({ pollution: 'pies', sound_file: ['a.ogg', 'b.ogg'] }),
+        { sound_file: [], sound_file_sources: [] }
+      ])
+
+      expect(problems).to.deep.equal([
+        '"kolej": pole "amplitude" powinno mieć postać { min_db, max_db, typical_db } z min <= typical <= max',
+        '"samolot": pole "amplitude" powinno mieć postać { min_db, max_db, typical_db } z min <= typical <= max',
+        '"samolot": pole "sound_file" powinno mieć postać string[]',
+        '"pociąg": pole "amplitude" powinno mieć postać { min_db, max_db, typical_db } z min <= typical <= max',
+        '"pies": pole "sound_file_sources" powinno mieć tyle elementów co "sound_file"',
+        '#5: brak pola "pollution"',
+        '#5: brak pola "amplitude"',
+        '#5: pole "sound_file" jest puste'
+      ])
+    })
+
+    it('should report duplicate names and unknown fields', function () {
+      const problems = window.gameFunctions.validatePollutions([createPollution(), createPollution({ volume: 3 })])
+
+      expect(problems).to.deep.equal(['"kolej": nieznane pole "volume"', '"kolej": powtórzona wartość "pollution"'])
+    })
+  })
+
+  describe('Recipients', function () {
+    it('should report unknown risk functions and invalid bonuses', function () {
+      const problems = window.gameFunctions.validateRecipients([
+        createRecipient({ risk_function: 'unknown_function' }),
+        createRecipient({ group: 'nietoperze', difficulty_bonus: 2, source_name: undefined })
+      ])
+
+      expect(problems).to.deep.equal([
+        '"seniorzy": nieznana funkcja ryzyka "unknown_function"',
+        '"nietoperze": pole "difficulty_bonus" powinno mieć wartość od 0 do 1',
+        '"nietoperze": brak pola "source_name"'
+      ])
+    })
+
+    it('should not check risk functions without a registry', function () {
+      const problems = window.gameFunctions.validateEntry(
+        createRecipient({ risk_function: 'unknown_function' }),
+        RECIPIENT_SCHEMA
+      )
+
+      expect(problems).to.be.empty
+    })
+  })
+
+  describe('Reporting', function () {
+    afterEach(function () {
+      document.getElementById('validationOverlay')?.remove()
+    })
+
+    it('should log problems to the console', function () {
+      const originalError = console.error
+      const errors = []
+      console.error = (message) => errors.push(message)
+
+      try {
+        window.gameFunctions.reportValidationProblems('recipients.json', ['"seniorzy": brak pola "label"'])
+      } finally {
+        console.error = originalError
+      }
+
+      expect(errors).to.deep.equal(['Invalid entries in recipients.json:\n"seniorzy": brak pola "label"'])
+    })
+
+    it('should list the problems of every file in one overlay', function () {
+      window.gameFunctions.showValidationOverlay('pollutions.json', ['a', 'b'])
+      window.gameFunctions.showValidationOverlay('recipients.json', ['c'])
+
+      const overlay = document.getElementById('validationOverlay')
+      expect([...overlay.querySelectorAll('h2')].map((heading) => heading.textContent)).to.deep.equal([
+        'Błędne wpisy w pollutions.json',
+        'Błędne wpisy w recipients.json'
+      ])
+      expect(overlay.querySelectorAll('li')).to.have.lengthOf(3)
+
+      overlay.querySelector('.validation-overlay-close').click()
+      expect(document.getElementById('validationOverlay')).to.be.null
+    })
+  })
+})
@@ -0,0 +1,226 @@
+/**
+ * Data validation for the Sound Pollution Challenge Game
+ * Every entry of components/pollutions.json and components/recipients.json is checked against a schema when
+ * it is loaded. Problems are reported in the console and, during development, in an overlay on the page;
+ * the entries are still used, so a broken entry shows up instead of silently disappearing.
+ *
+ * Loaded before game.js (and on credits.html); reads riskFunctionRegistry from game.js at call time when it is there.
+ */
+
+// Legacy amplitudes normalizeAmplitude still understands: "60-134 dB", "up to 80 dB" or a plain number of dB
+const AMPLITUDE_PATTERN = /^(up to \d+|\d+(-\d+)?)( dB)?$/
+
+// Field specs: type is 'string', 'number', 'boolean', 'object', 'string[]' or 'amplitude'
+const POLLUTION_SCHEMA = {
+  pollution: { type: 'string', required: true },
+  amplitude: { type: 'amplitude', required: true },
+  frequency: { type: 'string' },
+  sound_file: { type: 'string[]', required: true, nonEmpty: true },
+  sound_file_sources: { type: 'string[]', required: true, sameLengthAs: 'sound_file' },
+  affects: { type: 'string[]' },
+  existence: { type: 'string[]' },
+  is_antropo: { type: 'boolean' }
+}
+
+const RECIPIENT_SCHEMA = {
+  group: { type: 'string', required: true },
+  label: { type: 'string', required: true },
+  risk_function: { type: 'string', required: true, riskFunction: true },
+  difficulty_bonus: { type: 'number', min: 0, max: 1 },
+  params: { type: 'object' },
+  affected: { type: 'string[]' },
+  description: { type: 'string', required: true },
+  source: { type: 'string', required: true },
+  source_name: { type: 'string', required: true }
+}
+
+const VALIDATION_DEFAULTS = {
+  overlayId: 'validationOverlay',
+  devHosts: ['localhost', '127.0.0.1', ''] // The overlay only shows up where the game is developed, not in tests
+}
+
+/**
+ * Checks the type of a single value
+ * @param {*} value - Value to check
+ * @param {string} type - Type from a schema field
+ * @returns {boolean} Whether the value has the type
+ */
+function hasSchemaType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' && value.trim() !== ''
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value)
+    case 'boolean':
+      return typeof value === 'boolean'
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value)
+    case 'string[]':
+      return Array.isArray(value) && value.every((item) => hasSchemaType(item, 'string'))
+    case 'amplitude':
+      return isValidAmplitude(value)
+    default:
+      return false
+  }
+}
+
+/**
+ * Checks an amplitude: { min_db, max_db, typical_db } with min_db <= typical_db <= max_db,
+ * or a legacy string or number normalizeAmplitude understands, with a range that isn't reversed
+ * @param {Object|string|number} amplitude - Amplitude such as { "min_db": 60, "max_db": 134, "typical_db": 80 }
+ * @returns {boolean} Whether the amplitude is valid
+ */
+function isValidAmplitude(amplitude) {
+  if (typeof amplitude === 'number') return Number.isFinite(amplitude) && amplitude >= 0
+  if (typeof amplitude === 'string') {
+    if (!AMPLITUDE_PATTERN.test(amplitude.trim())) return false
+    const [min, max = min] = amplitude.match(/\d+/g).map(Number)
+    return min <= max
+  }
+  if (!hasSchemaType(amplitude, 'object')) return false
+
+  const fields = Object.keys(amplitude)
+  const { min_db: min, max_db: max, typical_db: typical } = amplitude
+  return (
+    fields.every((field) => ['min_db', 'max_db', 'typical_db'].includes(field)) &&
+    [min, max, typical].every((value) => typeof value === 'number' && Number.isFinite(value)) &&
+    min >= 0 &&
+    min <= typical &&
+    typical <= max
+  )
+}
+
+/**
+ * Validates one entry against a schema
+ * @param {Object} entry - Entry from a JSON file
+ * @param {Object} schema - POLLUTION_SCHEMA or RECIPIENT_SCHEMA
+ * @param {Object} [options] - Extra checks
+ * @param {Array<string>} [options.riskFunctions] - Known risk functions, unchecked when not given
+ * @returns {Array<string>} Problems in the entry, empty when it is valid
+ */
+function validateEntry(entry, schema, { riskFunctions } = {}) {
+  if (!hasSchemaType(entry, 'object')) return ['wpis nie jest obiektem']
+
+  const problems = []
+  Object.entries(schema).forEach(([field, spec]) => {
+    const value = entry[field]
+    if (value === undefined) {
+      if (spec.required) problems.push(`brak pola "${field}"`)
+      return
+    }
+    if (!hasSchemaType(value, spec.type)) {
+      const expected = spec.type === 'amplitude' ? '{ min_db, max_db, typical_db } z min <= typical <= max' : spec.type
+      problems.push(`pole "${field}" powinno mieć postać ${expected}`)
+      return
+    }
+    if (spec.nonEmpty && value.length === 0) problems.push(`pole "${field}" jest puste`)
+    const other = spec.sameLengthAs && entry[spec.sameLengthAs]
+    if (Array.isArray(other) && value.length !== other.length) {
+      problems.push(`pole "${field}" powinno mieć tyle elementów co "${spec.sameLengthAs}"`)
+    }
+    if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+      problems.push(`pole "${field}" powinno mieć wartość od ${spec.min} do ${spec.max}`)
+    }
+    if (spec.riskFunction && riskFunctions && !riskFunctions.includes(value)) {
+      problems.push(`nieznana funkcja ryzyka "${value}"`)
+    }
+  })
+
+  Object.keys(entry)
+    .filter((field) => !(field in schema))
+    .forEach((field) => problems.push(`nieznane pole "${field}"`))
+
+  return problems
+}
+
+/**
+ * Validates all entries of a JSON file
+ * @param {Array} entries - Parsed JSON
+ * @param {Object} schema - POLLUTION_SCHEMA or RECIPIENT_SCHEMA
+ * @param {string} key - Field naming an entry in messages, e.g. "pollution"
+ * @param {Object} [options] - Extra checks, see validateEntry
+ * @returns {Array<string>} Problems, each prefixed with the entry
+ */
+function validateEntries(entries, schema, key, options) {
+  if (!Array.isArray(entries)) return ['plik powinien zawierać listę wpisów']
+
+  const problems = []
+  const seen = new Set()
+  entries.forEach((entry, index) => {
+    const name = typeof entry?.[key] === 'string' ? `"${entry[key]}"` : `#${index + 1}`
+    validateEntry(entry, schema, options).forEach((problem) => problems.push(`${name}: ${problem}`))
+
+    if (seen.has(entry?.[key])) problems.push(`${name}: powtórzona wartość "${key}"`)
+    seen.add(entry?.[key])
+  })
+  return problems
+}
+
+/**
+ * Validates the sound catalogue
+ * @param {Array} pollutions - Parsed components/pollutions.json
+ * @returns {Array<string>} Problems
+ */
+function validatePollutions(pollutions) {
+  return validateEntries(pollutions, POLLUTION_SCHEMA, 'pollution')
+}
+
+/**
+ * Validates the recipient groups; risk functions are checked when game.js is loaded
+ * @param {Array} recipients - Parsed components/recipients.json
+ * @returns {Array<string>} Problems
+ */
+function validateRecipients(recipients) {
+  const riskFunctions = typeof riskFunctionRegistry === 'undefined' ? undefined : Object.keys(riskFunctionRegistry)
+  return validateEntries(recipients, RECIPIENT_SCHEMA, 'group', { riskFunctions })
+}
+
+/**
+ * Reports validation problems of a file in the console and the development overlay
+ * @param {string} file - File name shown with the problems
+ * @param {Array<string>} problems - Problems from validatePollutions or validateRecipients
+ */
+function reportValidationProblems(file, problems) {
+  if (problems.length === 0) return
+
+  console.error(`Invalid entries in ${file}:\n${problems.join('\n')}`)
+  if (
+    VALIDATION_DEFAULTS.devHosts.includes(window.location.hostname) &&
+    !window.location.pathname.includes('test.html')
+  ) {
+    showValidationOverlay(file, problems)
+  }
+}
+
+/**
+ * Lists validation problems in an overlay on top of the page, one section per file
+ * @param {string} file - File name
+ * @param {Array<string>} problems - Problems in the file
+ */
+function showValidationOverlay(file, problems) {
+  let overlay = document.getElementById(VALIDATION_DEFAULTS.overlayId)
+  if (!overlay) {
+    overlay = document.createElement('div')
+    overlay.id = VALIDATION_DEFAULTS.overlayId
+    overlay.className = 'validation-overlay'
+    overlay.setAttribute('role', 'alert')
+
+    const close = document.createElement('button')
+    close.className = 'validation-overlay-close'
+    close.textContent = 'Zamknij'
+    close.addEventListener('click', () => overlay.remove())
+    overlay.appendChild(close)
+    document.body.appendChild(overlay)
+  }
+
+  const heading = document.createElement('h2')
+  heading.textContent = `Błędne wpisy w ${file}`
+  const list = document.createElement('ul')
+  problems.forEach((problem) => {
+    const item = document.createElement('li')
+    item.textContent = problem
+    list.appendChild(item)
+  })
+  overlay.appendChild(heading)
+  overlay.appendChild(list)
+}